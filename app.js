@@ -1,12 +1,16 @@
 /* app.js - Core logic for CardCue (client-only, no build)
    Features:
-   - Import: .xlsx (Flashcards + MCQ sheets) and .json
+   - Import: .xlsx (Flashcards + MCQ + Cloze sheets) and .json; cloze notes become one card per deletion
    - Export: JSON + Excel (.xlsx) mirroring import format; Template .xlsx
-   - Deck schema with per-card stats + spaced repetition
-   - Filters (topic/type/search/wrong-only/due-only), shuffle
-   - Session engine helpers for the study page
-   - Settings: showExplanationByDefault, autoAdvanceOnCorrect, viewMode (persisted)
-   - Global API for all pages via window.App
+   - Deck schema with per-card stats + graded spaced repetition (Again/Hard/Good/Easy); suspend/bury/flag states and leech detection
+   - Hierarchical topics ("Parent::Child"): the topic index, filters and topic tree include subtopics
+   - Deck library: several decks with their own stats, review log and sessions; per-deck import/export
+   - Filters (topics with any/all and exclusions, type/wrong-only/due-only, search query language with fields, comparisons, AND/OR/NOT), shuffle
+   - Session composer: weighted, interleaved sessions with a new-card cap and a seeded RNG
+   - Session engine helpers for the study page (end-of-session reports, session history, saved presets); timed exams with deferred feedback
+   - Storage: IndexedDB (per-card writes, quota warnings) with a localStorage fallback; open tabs kept in sync
+   - Settings: showExplanationByDefault, autoAdvanceOnCorrect, maxIntervalDays, fuzzPercent, leechThreshold, leechAction, newCardsPerSession, shuffleChoices, viewMode (persisted)
+   - Global API for all pages via window.App, with an event bus (App.on/off/emit)
 */
 (function () {
   'use strict';
@@ -106,6 +110,21 @@
     return a;
   }
 
+  /**
+   * Deterministic pseudo-random generator (mulberry32), for repeatable simulations.
+   * @param {number} seed - Seed (any integer).
+   * @returns {function(): number} Generator of floats in [0, 1).
+   */
+  function seededRandom(seed) {
+    var a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      var t = Math.imul(a ^ (a >>> 15), a | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   /**
    * Safely invokes a function and ignores errors.
    * @param {Function} fn - Function to invoke.
@@ -113,6 +132,119 @@
    */
   function safe(fn) { try { typeof fn === 'function' && fn(); } catch (_e) {} }
 
+  /**
+   * Shows a toast notification in the bottom corner of the page.
+   * A toast with the same `key` replaces the previous one instead of stacking.
+   * @param {string} message - Text to show.
+   * @param {{type?:'info'|'warn'|'error',sticky?:boolean,timeout?:number,key?:string,
+   *   actions?:Array<{label:string,run:Function}>}} [opts] - Options.
+   * @returns {HTMLElement|null} The toast element, or null before the DOM exists.
+   */
+  function notify(message, opts) {
+    opts = opts || {};
+    if (!document.body) return null;
+    var host = document.getElementById('toast-host');
+    if (!host) {
+      host = document.createElement('div');
+      host.id = 'toast-host'; host.className = 'toast-host';
+      host.setAttribute('aria-live', 'polite');
+      document.body.appendChild(host);
+    }
+    var el = opts.key ? host.querySelector('[data-key="' + opts.key + '"]') : null;
+    if (!el) {
+      el = document.createElement('div');
+      if (opts.key) el.setAttribute('data-key', opts.key);
+      host.appendChild(el);
+    }
+    el.className = 'toast ' + (opts.type || 'info');
+    el.setAttribute('role', opts.type === 'error' ? 'alert' : 'status');
+    el.innerHTML = '<span class="toast-msg"></span>';
+    el.querySelector('.toast-msg').textContent = message;
+
+    var close = function () { el.remove(); };
+    (opts.actions || []).forEach(function (a) {
+      var b = document.createElement('button');
+      b.type = 'button'; b.className = 'btn small'; b.textContent = a.label;
+      b.addEventListener('click', function () { close(); a.run(); });
+      el.appendChild(b);
+    });
+    var x = document.createElement('button');
+    x.type = 'button'; x.className = 'btn small ghost'; x.textContent = '×'; x.title = 'Dismiss';
+    x.addEventListener('click', close);
+    el.appendChild(x);
+
+    clearTimeout(el.__timer);
+    if (!opts.sticky) el.__timer = setTimeout(close, opts.timeout || 5000);
+    return el;
+  }
+
+  // ---------- Event bus ----------
+
+  /**
+   * Events pages can subscribe to with App.on, and the payload each one carries.
+   * - deck:loaded      {name,importedAt}|null   Active deck switched or its import meta changed (the deck meta)
+   * - deck:changed     {deckId,cause,label,put:string[],del:string[]}  Cards of the active deck were written;
+   *                    cause is 'edit' | 'review' | 'undo' | 'redo', or 'sync' for a change made in another tab;
+   *                    put/del list card IDs (put is every card on a full rewrite)
+   * - card:updated     {deckId,cause,card}     One card was written (fired per card after deck:changed)
+   * - topics:changed   string[]                The deck's topic list may have changed
+   * - attempt:recorded object                  A review log entry was added (see logReview)
+   * - session:started  {size,mode,resumed?}    A study session began (or an unfinished one was resumed);
+   *                    mode is 'learn' | 'test' | 'exam'
+   * - session:finished {size,correct,wrong,mode,deckId?,remote?}  The last card of a session was answered or the
+   *                    session was ended; remote (with deckId) once a session finished in another tab is stored
+   * - settings:changed {key,value}             A persisted setting or the view mode changed
+   * @type {string[]}
+   */
+  var EVENT_TYPES = [
+    'deck:loaded', 'deck:changed', 'card:updated', 'topics:changed', 'attempt:recorded',
+    'session:started', 'session:finished', 'settings:changed', 'presets:changed'
+  ];
+
+  // Window events still dispatched for pages that listen without App (older builds)
+  var LEGACY_EVENTS = { 'deck:loaded': 'app:deckLoaded' };
+
+  /** @type {Object<string,Function[]>} Listeners by event type. */
+  var listeners = {};
+
+  /**
+   * Subscribes to an event.
+   * @param {string} type - One of EVENT_TYPES.
+   * @param {Function} fn - Called with the event payload.
+   * @returns {Function} Unsubscribe function.
+   */
+  function on(type, fn) {
+    if (EVENT_TYPES.indexOf(type) < 0) throw new Error('Unknown event: ' + type);
+    (listeners[type] || (listeners[type] = [])).push(fn);
+    return function () { off(type, fn); };
+  }
+
+  /**
+   * Removes a listener added with on().
+   * @param {string} type - Event type.
+   * @param {Function} fn - Listener.
+   * @returns {void}
+   */
+  function off(type, fn) {
+    var list = listeners[type]; if (!list) return;
+    var i = list.indexOf(fn); if (i >= 0) list.splice(i, 1);
+  }
+
+  /**
+   * Calls every listener of an event with its payload. A listener that throws is logged
+   * and does not stop the others.
+   * @param {string} type - One of EVENT_TYPES.
+   * @param {any} [payload] - Event payload.
+   * @returns {void}
+   */
+  function emit(type, payload) {
+    if (EVENT_TYPES.indexOf(type) < 0) throw new Error('Unknown event: ' + type);
+    (listeners[type] || []).slice().forEach(function (fn) {
+      try { fn(payload); } catch (e) { console.error('Listener for ' + type + ' failed:', e); }
+    });
+    if (LEGACY_EVENTS[type]) window.dispatchEvent(new CustomEvent(LEGACY_EVENTS[type], { detail: payload }));
+  }
+
   // ---------- Settings (persisted) ----------
 
   // Namespace localStorage by path so dev/prod don't collide
@@ -127,26 +259,62 @@
   // Primary storage keys
   var KEY          = APP_NS + ':deck:v1';
   var KEY_SESSIONS = APP_NS + ':sessions';
+  var KEY_REVIEWLOG = APP_NS + ':reviewlog';
+  var KEY_DECKS    = APP_NS + ':decks';       // deck library (localStorage backend only)
+  var KEY_ACTIVE   = APP_NS + ':activeDeck';  // ID of the deck shown on every page
+  var KEY_SYNC     = APP_NS + ':sync';        // cross-tab channel name (and storage-event key in the fallback)
 
   // Keys
   var SETTINGS_KEY = APP_NS + ':settings';
   var VIEWMODE_KEY = APP_NS + ':viewmode';  // 'single' | 'grid' | etc.
   var THEME_KEY    = APP_NS + ':theme';     // 'light' | 'dark' (optional, for consistency)
   var META_KEY     = APP_NS + ':deckMeta';  // stores { name, importedAt }
+  var TOPIC_PICKER_KEY = APP_NS + ':topicPicker'; // topic selections, per page and picker
 
   // Defaults for persisted settings
   var defaultSettings = {
     showExplanationByDefault: false,
-    autoAdvanceOnCorrect:     false
+    autoAdvanceOnCorrect:     false,
+    maxIntervalDays:          365,  // scheduler cap
+    fuzzPercent:              5,    // +/- jitter applied to intervals of 3+ days
+    leechThreshold:           8,    // lapses before a card is a leech (0 = off)
+    leechAction:              'tag', // 'tag' (adds the "leech" topic) | 'suspend'
+    newCardsPerSession:       10,   // unseen cards at most in a balanced-mix session
+    shuffleChoices:           true  // MCQ choices in a new order on each attempt (see keepsChoiceOrder)
+  };
+
+  // Valid [min, max, whole number] of numeric settings; values outside are clamped
+  var SETTING_RANGES = {
+    maxIntervalDays:    [1, 36500, true],
+    fuzzPercent:        [0, 25, false],
+    leechThreshold:     [0, 1000, true],
+    newCardsPerSession: [0, 10000, true]
   };
 
+  /**
+   * Coerces a numeric setting into its valid range (see SETTING_RANGES); non-numbers fall back to the default.
+   * @param {string} key - Setting key.
+   * @param {any} val - Value.
+   * @returns {number} Valid value.
+   */
+  function clampSetting(key, val) {
+    var n = Number(val), r = SETTING_RANGES[key];
+    if (val === '' || val === null || !isFinite(n)) return defaultSettings[key];
+    if (!r) return n;
+    if (r[2]) n = Math.round(n);
+    return Math.min(r[1], Math.max(r[0], n));
+  }
+
   // Load/save helpers for settings
   function loadSettings() {
+    var out;
     try {
-      return Object.assign({}, defaultSettings, JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'));
+      out = Object.assign({}, defaultSettings, JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'));
     } catch (_e) {
       return Object.assign({}, defaultSettings);
     }
+    Object.keys(SETTING_RANGES).forEach(function (k) { out[k] = clampSetting(k, out[k]); });
+    return out;
   }
 
   var __settings = loadSettings();
@@ -155,18 +323,911 @@
     try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(__settings)); } catch (_e) {}
   }
 
+  // ---------- Scheduler (SM-2 style, graded) ----------
+
+  var DAY_MS = 24 * 3600 * 1000;
+
+  /** Grades in ascending order of recall quality. */
+  var GRADES = ['again', 'hard', 'good', 'easy'];
+
+  var SR_DEFAULT_EASE = 2.5;
+  var SR_MIN_EASE     = 1.3;
+  var SR_RELEARN_MS   = 10 * 60 * 1000; // a lapsed card comes back after 10 minutes
+  var SR_LAPSE_FACTOR = 0.5;             // interval kept after a lapse
+  var SR_HARD_FACTOR  = 1.2;
+  var SR_EASY_BONUS   = 1.3;
+
+  /**
+   * Normalises a grade from a boolean, a 1-4 number or a grade name.
+   * Booleans map to 'good' (true) and 'again' (false).
+   * @param {boolean|number|string} g - Raw grade.
+   * @returns {string} One of GRADES.
+   */
+  function normaliseGrade(g) {
+    if (typeof g === 'boolean') return g ? 'good' : 'again';
+    if (typeof g === 'number') return GRADES[Math.max(1, Math.min(4, Math.round(g))) - 1];
+    var s = String(g || '').toLowerCase();
+    return GRADES.indexOf(s) >= 0 ? s : 'again';
+  }
+
+  /**
+   * Upgrades a legacy `{intervalDays,nextDue,lastReviewed}` record to the graded schema.
+   * Streak becomes the repetition count and past misses become lapses.
+   * @param {object} sr - SR record (mutated).
+   * @param {object} [stats] - Card stats used to seed reps/lapses.
+   * @returns {object} The same SR record.
+   */
+  function migrateSR(sr, stats) {
+    if (typeof sr.ease === 'number') return sr;
+    stats = stats || {};
+    sr.intervalDays = sr.intervalDays || 0;
+    sr.nextDue = sr.nextDue || 0;
+    sr.lastReviewed = sr.lastReviewed || 0;
+    sr.ease = SR_DEFAULT_EASE;
+    sr.reps = stats.streak || 0;
+    sr.lapses = Math.max(0, (stats.seen || 0) - (stats.correct || 0));
+    return sr;
+  }
+
+  /**
+   * Computes the next interval (in days, unfuzzed and uncapped) for a grade.
+   * @param {object} sr - Current SR record.
+   * @param {string} grade - One of GRADES.
+   * @returns {number} Interval in days (0 for a relearning step).
+   */
+  function nextIntervalDays(sr, grade) {
+    var prev = sr.intervalDays || 0;
+    var ease = sr.ease || SR_DEFAULT_EASE;
+    if (grade === 'again') return 0;
+    if (!sr.reps) {
+      // New card, or relearning after a lapse (keeps the reduced interval)
+      if (!prev) return grade === 'easy' ? 4 : 1;
+      return grade === 'easy' ? prev * SR_EASY_BONUS : prev;
+    }
+    if (grade === 'hard') return Math.max(prev + 1, prev * SR_HARD_FACTOR);
+    if (sr.reps === 1 && grade === 'good' && prev <= 1) return 3;
+    var days = Math.max(prev + 1, prev * ease);
+    return grade === 'easy' ? days * SR_EASY_BONUS : days;
+  }
+
+  /**
+   * Applies the configured cap and fuzz to an interval.
+   * @param {number} days - Raw interval in days.
+   * @param {function(): number} [rand] - Random source for the fuzz (default Math.random).
+   * @returns {number} Whole days between 1 and maxIntervalDays.
+   */
+  function clampInterval(days, rand) {
+    var max = Math.max(1, Number(__settings.maxIntervalDays) || defaultSettings.maxIntervalDays);
+    var fuzz = Math.max(0, Number(__settings.fuzzPercent) || 0) / 100;
+    if (fuzz && days >= 3) days = days * (1 + ((rand || Math.random)() * 2 - 1) * fuzz);
+    return Math.max(1, Math.min(max, Math.round(days)));
+  }
+
+  /**
+   * Single scheduling entry point used by every study flow.
+   */
+  var Scheduler = {
+    GRADES: GRADES,
+    normaliseGrade: normaliseGrade,
+    migrate: migrateSR,
+
+    /**
+     * Returns a new SR record after reviewing with the given grade.
+     * @param {object} sr - Current SR record (not mutated).
+     * @param {boolean|number|string} grade - Grade (see normaliseGrade).
+     * @param {number} [now] - Review time in ms.
+     * @param {function(): number} [rand] - Random source for the interval fuzz (default Math.random).
+     * @returns {object} Updated SR record.
+     */
+    review: function (sr, grade, now, rand) {
+      var g = normaliseGrade(grade);
+      var out = migrateSR(Object.assign({}, sr || initSR()));
+      now = now || nowMs();
+      out.lastReviewed = now;
+
+      if (g === 'again') {
+        out.lapses += out.reps ? 1 : 0;
+        out.reps = 0;
+        out.ease = Math.max(SR_MIN_EASE, out.ease - 0.2);
+        out.intervalDays = Math.max(0, Math.round(out.intervalDays * SR_LAPSE_FACTOR));
+        out.nextDue = now + SR_RELEARN_MS;
+        return out;
+      }
+
+      var days = clampInterval(nextIntervalDays(out, g), rand);
+      if (g === 'hard') out.ease = Math.max(SR_MIN_EASE, out.ease - 0.15);
+      if (g === 'easy') out.ease += 0.15;
+      out.reps += 1;
+      out.intervalDays = days;
+      out.nextDue = now + days * DAY_MS;
+      return out;
+    },
+
+    /**
+     * Previews the interval each grade would produce, without fuzz.
+     * @param {object} sr - Current SR record.
+     * @returns {Object.<string,number>} Map of grade -> days (0 = relearn today).
+     */
+    preview: function (sr) {
+      var cur = migrateSR(Object.assign({}, sr || initSR()));
+      var max = Math.max(1, Number(__settings.maxIntervalDays) || defaultSettings.maxIntervalDays);
+      var out = {};
+      GRADES.forEach(function (g) {
+        var d = nextIntervalDays(cur, g);
+        out[g] = d ? Math.max(1, Math.min(max, Math.round(d))) : 0;
+      });
+      return out;
+    },
+
+    forecast: forecastDue,
+    simulate: simulateWorkload
+  };
+
+  /**
+   * Local midnight of the day a timestamp falls on.
+   * @param {number} ts - Milliseconds.
+   * @returns {number} Milliseconds.
+   */
+  function startOfDay(ts) {
+    var d = new Date(ts); d.setHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+
+  /**
+   * Counts the scheduled cards falling due on each of the coming days, in total and per topic.
+   * Overdue cards count as due today; cards never studied are only counted (`unseen`). Suspended cards are left out.
+   * @param {object[]} cards - Cards.
+   * @param {number} [days=30] - Days after today to cover.
+   * @returns {{unseen:number,overdue:number,days:Array<{day:string,total:number,byTopic:Object.<string,number>}>}}
+   *   One entry for today and one per following day.
+   */
+  function forecastDue(cards, days) {
+    days = Math.max(0, days == null ? 30 : days);
+    var out = { unseen: 0, overdue: 0, days: [] }, index = {};
+    var today = startOfDay(nowMs());
+    for (var i = 0; i <= days; i++) {
+      var t = new Date(today); t.setDate(t.getDate() + i);
+      index[dayKey(t.getTime())] = i;
+      out.days.push({ day: dayKey(t.getTime()), total: 0, byTopic: {} });
+    }
+    cards.forEach(function (c) {
+      if (c.state && c.state.suspended) return;
+      var due = c.sr && c.sr.nextDue;
+      if (!due) { out.unseen += 1; return; }
+      var i = due < today ? 0 : index[dayKey(due)];
+      if (due < today) out.overdue += 1;
+      if (i === undefined) return;
+      var bucket = out.days[i];
+      bucket.total += 1;
+      (c.topics && c.topics.length ? c.topics : ['(none)']).forEach(function (t) { bucket.byTopic[t] = (bucket.byTopic[t] || 0) + 1; });
+    });
+    return out;
+  }
+
+  /**
+   * Projects the daily workload under the current scheduling settings when new cards are added every day.
+   * Each review is answered correctly with probability `recall` (a miss is relearned and comes back the next
+   * day). At most `capacity` cards are studied per day, reviews before new cards; what is left over carries
+   * to the next day as backlog. The projection is repeatable for a given seed.
+   * @param {object} opts - Options.
+   * @param {object[]} opts.cards - Current cards (their schedule is the starting point).
+   * @param {number} [opts.newPerDay=0] - New cards started per day.
+   * @param {number} [opts.days=30] - Days to project (1-365).
+   * @param {number} [opts.recall=0.85] - Share of reviews answered correctly.
+   * @param {number} [opts.capacity] - Cards studied per day at most (default: no limit).
+   * @param {number} [opts.seed=1] - Random seed.
+   * @returns {{days:Array<{day:string,reviews:number,newCards:number,backlog:number}>,backlogGrowing:boolean}}
+   *   Per day: reviews and new cards studied, and cards left over; backlogGrowing is set when the backlog
+   *   at the end is larger than at any point in the first week.
+   */
+  function simulateWorkload(opts) {
+    var days = Math.max(1, Math.min(365, Math.round(opts.days || 30)));
+    var newPerDay = Math.max(0, Math.round(opts.newPerDay || 0));
+    var recall = Math.max(0, Math.min(1, opts.recall == null ? 0.85 : opts.recall));
+    var capacity = opts.capacity > 0 ? opts.capacity : Infinity;
+    var rand = seededRandom(opts.seed || 1);
+    var today = startOfDay(nowMs());
+
+    // Each card as {sr, due: day index, isNew, pos}, bucketed by due day so a day only looks at its own cards;
+    // cards due after the last day are left out. `pos` keeps ties in the order cards joined the queue.
+    var buckets = [], pos = 0;
+    function schedule(q) {
+      var k = Math.ceil(q.due);
+      if (k < days) (buckets[k] || (buckets[k] = [])).push(q);
+    }
+    opts.cards.forEach(function (c) {
+      if (!c.sr || !c.sr.nextDue || (c.state && c.state.suspended)) return;
+      schedule({ sr: migrateSR(Object.assign({}, c.sr)), due: Math.max(0, Math.floor((c.sr.nextDue - today) / DAY_MS)), pos: pos++ });
+    });
+
+    var out = [], carry = [];
+    for (var d = 0; d < days; d++) {
+      for (var n = 0; n < newPerDay; n++) schedule({ sr: initSR(), due: d, isNew: true, pos: pos++ });
+      var due = carry.concat(buckets[d] || []);
+      buckets[d] = null;
+      due.sort(function (a, b) { return (a.isNew ? 1 : 0) - (b.isNew ? 1 : 0) || a.due - b.due || a.pos - b.pos; });
+      var done = due.slice(0, capacity === Infinity ? due.length : capacity);
+      carry = due.slice(done.length);
+      var day = { day: dayKey(today + d * DAY_MS + DAY_MS / 2), reviews: 0, newCards: 0, backlog: carry.length };
+      done.forEach(function (q) {
+        if (q.isNew) { day.newCards += 1; q.isNew = false; } else day.reviews += 1;
+        var grade = rand() < recall ? 'good' : 'again';
+        q.sr = Scheduler.review(q.sr, grade, today + d * DAY_MS, rand);
+        q.due = d + (grade === 'again' ? 1 : q.sr.intervalDays);
+        schedule(q);
+      });
+      out.push(day);
+    }
+    var firstWeek = Math.max.apply(null, out.slice(0, 7).map(function (x) { return x.backlog; }));
+    var last = out[out.length - 1].backlog;
+    return { days: out, backlogGrowing: last > 0 && last > firstWeek };
+  }
+
+  // ---------- Storage backend (IndexedDB, localStorage fallback) ----------
+
+  var DB_NAME          = APP_NS;
+  var DB_VERSION       = 3;          // v2: multiple decks, v3: exam attempts
+  var DEFAULT_DECK_ID  = 'default';
+  var QUOTA_WARN_RATIO = 0.9;
+  var LS_BUDGET_BYTES  = 5 * 1024 * 1024; // typical per-origin localStorage budget
+  var LS_SESSIONS_MAX  = 200;        // session records kept per deck by the localStorage backend
+
+  /**
+   * Wraps an IDBRequest in a Promise.
+   * @param {IDBRequest} req - Request.
+   * @returns {Promise<any>} Resolves with the request result.
+   */
+  function idbRequest(req) {
+    return new Promise(function (resolve, reject) {
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error); };
+    });
+  }
+
+  /**
+   * Runs `fn` inside a transaction and resolves with `out` once it commits.
+   * @param {IDBDatabase} db - Database.
+   * @param {string[]} stores - Object store names.
+   * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'.
+   * @param {function(IDBTransaction, object):void} fn - Issues requests; may fill `out`.
+   * @returns {Promise<object>} Resolves with `out`.
+   */
+  function idbTx(db, stores, mode, fn) {
+    return new Promise(function (resolve, reject) {
+      var tx = db.transaction(stores, mode);
+      var out = {};
+      tx.oncomplete = function () { resolve(out); };
+      tx.onerror = function () { reject(tx.error); };
+      tx.onabort = function () { reject(tx.error || new Error('Transaction aborted')); };
+      fn(tx, out);
+    });
+  }
+
+  /**
+   * Deletes every record of an index that matches `key`.
+   * @param {IDBIndex} index - Index to walk.
+   * @param {any} key - Index key.
+   * @returns {void}
+   */
+  function idbDeleteByIndex(index, key) {
+    index.openCursor(key).onsuccess = function (e) {
+      var cur = e.target.result;
+      if (cur) { cur.delete(); cur.continue(); }
+    };
+  }
+
+  /**
+   * Key range covering every card of one deck in the `cards` store ([deckId, cardId] keys).
+   * @param {string} deckId - Deck ID.
+   * @returns {IDBKeyRange} Range.
+   */
+  function deckCardsRange(deckId) { return IDBKeyRange.bound([deckId], [deckId, []]); }
+
+  /**
+   * Returns a stored copy of a card tagged with its deck.
+   * @param {string} deckId - Deck ID.
+   * @param {object} c - Card.
+   * @returns {object} Card with `deckId`.
+   */
+  function tagCard(deckId, c) { return Object.assign({}, c, { deckId: deckId }); }
+
+  /**
+   * Removes the storage-only `deckId` tag from a loaded card.
+   * @param {object} c - Stored card.
+   * @returns {object} The same card.
+   */
+  function untagCard(c) { delete c.deckId; return c; }
+
+  /**
+   * Creates the v1 stores, or upgrades a v1 database (single deck) to multiple decks:
+   * cards are re-keyed by [deckId, id], the old meta header becomes the `default` deck
+   * record, and existing reviews/sessions are tagged with that deck. v3 adds the `exams` store.
+   * @param {IDBDatabase} db - Database being upgraded.
+   * @param {IDBTransaction} tx - Version-change transaction.
+   * @param {number} oldVersion - Previous version (0 for a new database).
+   * @returns {void}
+   */
+  function upgradeDB(db, tx, oldVersion) {
+    if (oldVersion < 1) {
+      db.createObjectStore('meta');
+      db.createObjectStore('sessions', { keyPath: 'id' });
+      var rv = db.createObjectStore('reviews', { keyPath: 'id' });
+      rv.createIndex('ts', 'ts');
+      rv.createIndex('cardId', 'cardId');
+    }
+    if (oldVersion < 3) { // before the v2 step, which returns early for new databases
+      db.createObjectStore('exams', { keyPath: 'id' }).createIndex('deckId', 'deckId');
+    }
+    if (oldVersion < 2) {
+      var decks = db.createObjectStore('decks', { keyPath: 'id' });
+      tx.objectStore('reviews').createIndex('deckId', 'deckId');
+      tx.objectStore('sessions').createIndex('deckId', 'deckId');
+      var meta = tx.objectStore('meta');
+      var tagAll = function (name) {
+        tx.objectStore(name).openCursor().onsuccess = function (e) {
+          var cur = e.target.result; if (!cur) return;
+          cur.update(Object.assign({}, cur.value, { deckId: DEFAULT_DECK_ID }));
+          cur.continue();
+        };
+      };
+      tagAll('reviews'); tagAll('sessions');
+
+      if (oldVersion < 1) {
+        db.createObjectStore('cards', { keyPath: ['deckId', 'id'] }).createIndex('deckId', 'deckId');
+        return;
+      }
+
+      // v1 -> v2: move the single deck into the `default` deck
+      var old = {};
+      tx.objectStore('cards').getAll().onsuccess = function (e) { old.cards = e.target.result || []; };
+      meta.get('deck').onsuccess = function (e) { old.header = e.target.result || {}; };
+      meta.get('deckMeta').onsuccess = function (e) { old.deckMeta = e.target.result || null; };
+      meta.get('sessionCount').onsuccess = function (e) { old.sessionCount = e.target.result || 0; };
+      meta.get('order').onsuccess = function (e) {
+        old.order = e.target.result || [];
+        db.deleteObjectStore('cards');
+        var cards = db.createObjectStore('cards', { keyPath: ['deckId', 'id'] });
+        cards.createIndex('deckId', 'deckId');
+        old.cards.forEach(function (c) { cards.put(tagCard(DEFAULT_DECK_ID, c)); });
+        decks.put(Object.assign(newDeckRecord(DEFAULT_DECK_ID, defaultDeckName(old.deckMeta)), {
+          version: old.header.version || 1,
+          createdAt: old.header.createdAt || nowISO(),
+          updatedAt: old.header.updatedAt || nowISO(),
+          deckMeta: old.deckMeta,
+          sessionCount: old.sessionCount,
+          cardCount: old.cards.length
+        }));
+        meta.put(old.order, 'order:' + DEFAULT_DECK_ID);
+        ['deck', 'order', 'deckMeta', 'sessionCount'].forEach(function (k) { meta.delete(k); });
+      };
+    }
+  }
+
+  /**
+   * IndexedDB backend. Stores: `decks` (one record per deck: name, header, deckMeta,
+   * sessionCount, cardCount), `cards` (keyed by [deckId, id]), `meta` (key/value, including
+   * each deck's card order as `order:<deckId>`), `sessions` (one record per started session),
+   * `reviews` (the review log, indexed by ts, cardId and deckId) and `exams` (submitted exam attempts).
+   * @param {IDBDatabase} db - Open database.
+   * @returns {object} Backend.
+   */
+  function idbBackend(db) {
+    return {
+      kind: 'indexeddb',
+
+      /**
+       * Reads a meta value.
+       * @param {string} key - Meta key.
+       * @returns {Promise<any>} Value or undefined.
+       */
+      getMeta: function (key) {
+        return idbTx(db, ['meta'], 'readonly', function (tx, out) {
+          tx.objectStore('meta').get(key).onsuccess = function (e) { out.value = e.target.result; };
+        }).then(function (out) { return out.value; });
+      },
+
+      /**
+       * Writes a meta value; null deletes it.
+       * @param {string} key - Meta key.
+       * @param {any} value - Value (structured-cloneable).
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      putMeta: function (key, value) {
+        return idbTx(db, ['meta'], 'readwrite', function (tx) {
+          if (value == null) tx.objectStore('meta').delete(key); else tx.objectStore('meta').put(value, key);
+        });
+      },
+
+      /**
+       * Lists deck records, oldest first.
+       * @returns {Promise<object[]>} Deck records.
+       */
+      listDecks: function () {
+        return idbTx(db, ['decks'], 'readonly', function (tx, out) {
+          tx.objectStore('decks').getAll().onsuccess = function (e) { out.list = e.target.result || []; };
+        }).then(function (out) {
+          return out.list.sort(function (a, b) { return String(a.createdAt).localeCompare(String(b.createdAt)); });
+        });
+      },
+
+      /**
+       * Loads one deck's cards, card order and review log.
+       * @param {string} deckId - Deck ID.
+       * @returns {Promise<{order:string[],cards:object[],reviews:object[]}>} Data.
+       */
+      loadDeck: function (deckId) {
+        return idbTx(db, ['cards', 'meta', 'reviews'], 'readonly', function (tx, out) {
+          tx.objectStore('cards').getAll(deckCardsRange(deckId)).onsuccess = function (e) {
+            out.cards = (e.target.result || []).map(untagCard);
+          };
+          tx.objectStore('reviews').index('deckId').getAll(deckId).onsuccess = function (e) {
+            out.reviews = (e.target.result || []).sort(function (a, b) { return a.ts - b.ts; });
+          };
+          tx.objectStore('meta').get('order:' + deckId).onsuccess = function (e) { out.order = e.target.result || []; };
+        });
+      },
+
+      /**
+       * Writes a deck change-set and the deck record in one transaction.
+       * @param {string} deckId - Deck ID.
+       * @param {{record:object,order?:string[],put?:object[],del?:string[],replace?:boolean}} w - Change-set.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      writeDeck: function (deckId, w) {
+        return idbTx(db, ['cards', 'meta', 'decks'], 'readwrite', function (tx) {
+          var cards = tx.objectStore('cards');
+          if (w.replace) cards.delete(deckCardsRange(deckId));
+          (w.del || []).forEach(function (id) { cards.delete([deckId, id]); });
+          (w.put || []).forEach(function (c) { cards.put(tagCard(deckId, c)); });
+          if (w.order) tx.objectStore('meta').put(w.order, 'order:' + deckId);
+          tx.objectStore('decks').put(w.record);
+        });
+      },
+
+      /**
+       * Writes a deck record (name, deckMeta, counters).
+       * @param {object} rec - Deck record.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      putDeck: function (rec) {
+        return idbTx(db, ['decks'], 'readwrite', function (tx) { tx.objectStore('decks').put(rec); });
+      },
+
+      /**
+       * Deletes a deck with its cards, order, reviews, sessions and exams.
+       * @param {string} deckId - Deck ID.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      deleteDeck: function (deckId) {
+        return idbTx(db, ['cards', 'meta', 'decks', 'reviews', 'sessions', 'exams'], 'readwrite', function (tx) {
+          tx.objectStore('cards').delete(deckCardsRange(deckId));
+          tx.objectStore('meta').delete('order:' + deckId);
+          tx.objectStore('decks').delete(deckId);
+          idbDeleteByIndex(tx.objectStore('reviews').index('deckId'), deckId);
+          idbDeleteByIndex(tx.objectStore('sessions').index('deckId'), deckId);
+          idbDeleteByIndex(tx.objectStore('exams').index('deckId'), deckId);
+        });
+      },
+
+      /**
+       * Appends review-log entries (each carries its deckId).
+       * @param {object[]} entries - Entries.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      addReviews: function (entries) {
+        return idbTx(db, ['reviews'], 'readwrite', function (tx) {
+          var st = tx.objectStore('reviews');
+          entries.forEach(function (e) { st.put(e); });
+        });
+      },
+
+      /**
+       * Deletes one deck's review-log entries.
+       * @param {string} deckId - Deck ID.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      clearReviews: function (deckId) {
+        return idbTx(db, ['reviews'], 'readwrite', function (tx) {
+          idbDeleteByIndex(tx.objectStore('reviews').index('deckId'), deckId);
+        });
+      },
+
+      /**
+       * Re-tags review-log entries of some cards from one deck to another (cards moved between decks).
+       * @param {string} fromId - Source deck ID.
+       * @param {string} toId - Target deck ID.
+       * @param {string[]} cardIds - Moved cards.
+       * @param {string[]} [entryIds] - Only re-tag these entries (default: all of the cards' entries).
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      moveReviews: function (fromId, toId, cardIds, entryIds) {
+        var ids = new Set(cardIds), only = entryIds ? new Set(entryIds) : null;
+        return idbTx(db, ['reviews'], 'readwrite', function (tx) {
+          tx.objectStore('reviews').index('deckId').openCursor(IDBKeyRange.only(fromId)).onsuccess = function (e) {
+            var cur = e.target.result; if (!cur) return;
+            if (ids.has(cur.value.cardId) && (!only || only.has(cur.value.id))) cur.update(Object.assign({}, cur.value, { deckId: toId }));
+            cur.continue();
+          };
+        });
+      },
+
+      /**
+       * Stores (or updates) a session record together with the updated deck record (session counter).
+       * @param {object} rec - Session record (with deckId).
+       * @param {object} deckRec - Deck record.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      addSession: function (rec, deckRec) {
+        return idbTx(db, ['sessions', 'decks'], 'readwrite', function (tx) {
+          tx.objectStore('sessions').put(rec);
+          tx.objectStore('decks').put(deckRec);
+        });
+      },
+
+      /**
+       * Lists one deck's session records (with their reports, once finished), oldest first.
+       * @param {string} deckId - Deck ID.
+       * @returns {Promise<object[]>} Session records.
+       */
+      listSessions: function (deckId) {
+        return idbTx(db, ['sessions'], 'readonly', function (tx, out) {
+          tx.objectStore('sessions').index('deckId').getAll(deckId).onsuccess = function (e) { out.list = e.target.result || []; };
+        }).then(function (out) { return out.list.sort(function (a, b) { return a.startedAt - b.startedAt; }); });
+      },
+
+      /**
+       * Stores a submitted exam attempt.
+       * @param {object} rec - Exam record (with deckId).
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      addExam: function (rec) {
+        return idbTx(db, ['exams'], 'readwrite', function (tx) { tx.objectStore('exams').put(rec); });
+      },
+
+      /**
+       * Lists one deck's exam attempts, oldest first.
+       * @param {string} deckId - Deck ID.
+       * @returns {Promise<object[]>} Exam records.
+       */
+      listExams: function (deckId) {
+        return idbTx(db, ['exams'], 'readonly', function (tx, out) {
+          tx.objectStore('exams').index('deckId').getAll(deckId).onsuccess = function (e) { out.list = e.target.result || []; };
+        }).then(function (out) { return out.list.sort(function (a, b) { return a.startedAt - b.startedAt; }); });
+      },
+
+      /**
+       * Imports a legacy localStorage snapshot as a deck (one-time migration).
+       * @param {object} rec - Deck record.
+       * @param {{cards:object[],reviews:object[]}} data - Snapshot.
+       * @returns {Promise<void>} Resolves on commit.
+       */
+      importLegacy: function (rec, data) {
+        return idbTx(db, ['cards', 'meta', 'decks', 'reviews'], 'readwrite', function (tx) {
+          var cards = tx.objectStore('cards'), reviews = tx.objectStore('reviews');
+          data.cards.forEach(function (c) { cards.put(tagCard(rec.id, c)); });
+          tx.objectStore('meta').put(data.cards.map(function (c) { return c.id; }), 'order:' + rec.id);
+          tx.objectStore('meta').put(nowISO(), 'migratedAt');
+          tx.objectStore('decks').put(rec);
+          (data.reviews || []).forEach(function (e) { reviews.put(Object.assign({}, e, { deckId: rec.id })); });
+        });
+      },
+
+      /**
+       * Estimates storage usage for this origin.
+       * @returns {Promise<{usage:number,quota:number}|null>} Estimate, or null if unsupported.
+       */
+      estimate: function () {
+        if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return Promise.resolve(null);
+        return navigator.storage.estimate().then(function (e) { return { usage: e.usage || 0, quota: e.quota || 0 }; });
+      }
+    };
+  }
+
+  /**
+   * localStorage backend used when IndexedDB is unavailable (e.g. some private modes).
+   * The library lives under KEY_DECKS; each deck is stored whole under its own key
+   * (the default deck keeps the legacy KEY), as before, but write failures are surfaced.
+   * @returns {object} Backend with the same interface as idbBackend.
+   */
+  function localBackend() {
+    /**
+     * Runs a synchronous write and converts exceptions into a rejected Promise.
+     * @param {Function} fn - Write function.
+     * @returns {Promise<void>} Result.
+     */
+    function attempt(fn) {
+      try { fn(); return Promise.resolve(); } catch (e) { return Promise.reject(e); }
+    }
+    function cardsKey(id) { return id === DEFAULT_DECK_ID ? KEY : APP_NS + ':deck:' + id + ':v1'; }
+    function logKey(id) { return id === DEFAULT_DECK_ID ? KEY_REVIEWLOG : APP_NS + ':reviewlog:' + id; }
+    function examsKey(id) { return APP_NS + ':exams:' + id; }
+    function sessionsKey(id) { return APP_NS + ':sessions:' + id; }
+    function readList(key) {
+      try { return JSON.parse(localStorage.getItem(key) || '[]'); } catch (_) { return []; }
+    }
+    function readLibrary() {
+      try {
+        var list = JSON.parse(localStorage.getItem(KEY_DECKS) || 'null');
+        if (Array.isArray(list)) return list;
+      } catch (_) {}
+      // First run: describe the legacy single deck
+      var meta = null;
+      try { meta = JSON.parse(localStorage.getItem(META_KEY) || 'null'); } catch (_) {}
+      return [Object.assign(newDeckRecord(DEFAULT_DECK_ID, defaultDeckName(meta)), {
+        deckMeta: meta, sessionCount: parseInt(localStorage.getItem(KEY_SESSIONS) || '0', 10)
+      })];
+    }
+    function writeRecord(rec) {
+      var list = readLibrary().filter(function (r) { return r.id !== rec.id; });
+      list.push(rec);
+      localStorage.setItem(KEY_DECKS, JSON.stringify(list));
+    }
+
+    return {
+      kind: 'localStorage',
+      getMeta: function (key) {
+        try { return Promise.resolve(JSON.parse(localStorage.getItem(APP_NS + ':meta:' + key) || 'null') ?? undefined); } catch (_) { return Promise.resolve(undefined); }
+      },
+      putMeta: function (key, value) {
+        return attempt(function () {
+          if (value == null) localStorage.removeItem(APP_NS + ':meta:' + key);
+          else localStorage.setItem(APP_NS + ':meta:' + key, JSON.stringify(value));
+        });
+      },
+      listDecks: function () { return Promise.resolve(readLibrary()); },
+      loadDeck: function (deckId) {
+        var d = loadDeck(cardsKey(deckId));
+        return Promise.resolve({
+          order: d.cards.map(function (c) { return c.id; }),
+          cards: d.cards,
+          reviews: loadReviewLog(logKey(deckId))
+        });
+      },
+      writeDeck: function (deckId, w) {
+        return attempt(function () {
+          var cards = deckId === deck.id ? deck.cards : (w.put || []);
+          localStorage.setItem(cardsKey(deckId), JSON.stringify(Object.assign({}, w.record, { cards: cards })));
+          writeRecord(w.record);
+        });
+      },
+      putDeck: function (rec) { return attempt(function () { writeRecord(rec); }); },
+      deleteDeck: function (deckId) {
+        return attempt(function () {
+          localStorage.removeItem(cardsKey(deckId));
+          localStorage.removeItem(logKey(deckId));
+          localStorage.removeItem(examsKey(deckId));
+          localStorage.removeItem(sessionsKey(deckId));
+          localStorage.setItem(KEY_DECKS, JSON.stringify(readLibrary().filter(function (r) { return r.id !== deckId; })));
+        });
+      },
+      addReviews: function () { return attempt(function () { saveReviewLog(logKey(deck.id)); }); },
+      clearReviews: function (deckId) { return attempt(function () { localStorage.removeItem(logKey(deckId)); }); },
+      moveReviews: function (fromId, toId, cardIds, entryIds) {
+        var ids = new Set(cardIds), only = entryIds ? new Set(entryIds) : null;
+        var moves = function (e) { return ids.has(e.cardId) && (!only || only.has(e.id)); };
+        return attempt(function () {
+          var from = loadReviewLog(logKey(fromId));
+          var moved = from.filter(moves);
+          if (!moved.length) return;
+          var to = loadReviewLog(logKey(toId)).concat(moved.map(function (e) { return Object.assign({}, e, { deckId: toId }); }));
+          to.sort(function (a, b) { return a.ts - b.ts; });
+          localStorage.setItem(logKey(toId), JSON.stringify(to.slice(-REVIEW_LOG_MAX)));
+          localStorage.setItem(logKey(fromId), JSON.stringify(from.filter(function (e) { return !moves(e); })));
+        });
+      },
+      addSession: function (rec, deckRec) {
+        return attempt(function () {
+          var list = readList(sessionsKey(rec.deckId)).filter(function (r) { return r.id !== rec.id; });
+          list.push(rec);
+          localStorage.setItem(sessionsKey(rec.deckId), JSON.stringify(list.slice(-LS_SESSIONS_MAX)));
+          writeRecord(deckRec);
+        });
+      },
+      listSessions: function (deckId) { return Promise.resolve(readList(sessionsKey(deckId))); },
+      addExam: function (rec) {
+        return attempt(function () { localStorage.setItem(examsKey(rec.deckId), JSON.stringify(readList(examsKey(rec.deckId)).concat([rec]))); });
+      },
+      listExams: function (deckId) { return Promise.resolve(readList(examsKey(deckId))); },
+      estimate: function () {
+        var used = 0;
+        for (var i = 0; i < localStorage.length; i++) {
+          var k = localStorage.key(i);
+          used += (k.length + (localStorage.getItem(k) || '').length) * 2; // UTF-16
+        }
+        return Promise.resolve({ usage: used, quota: LS_BUDGET_BYTES });
+      }
+    };
+  }
+
+  /**
+   * Copies the legacy localStorage deck, meta, session count and review log into IndexedDB
+   * as the default deck once, then removes the large keys to free localStorage quota.
+   * @param {object} backend - IndexedDB backend.
+   * @returns {Promise<object>} The same backend.
+   */
+  function migrateFromLocalStorage(backend) {
+    return backend.getMeta('migratedAt').then(function (done) {
+      if (done) return backend;
+      var meta = null;
+      try { meta = JSON.parse(localStorage.getItem(META_KEY) || 'null'); } catch (_) {}
+      var legacy = loadDeck(KEY);
+      var rec = Object.assign(newDeckRecord(DEFAULT_DECK_ID, defaultDeckName(meta)), deckHeader(legacy), {
+        id: DEFAULT_DECK_ID,
+        name: defaultDeckName(meta),
+        deckMeta: meta,
+        sessionCount: parseInt(localStorage.getItem(KEY_SESSIONS) || '0', 10),
+        cardCount: legacy.cards.length
+      });
+      return backend.importLegacy(rec, { cards: legacy.cards, reviews: loadReviewLog(KEY_REVIEWLOG) }).then(function () {
+        [KEY, KEY_REVIEWLOG, META_KEY, KEY_SESSIONS].forEach(function (k) { localStorage.removeItem(k); });
+        return backend;
+      });
+    });
+  }
+
+  /**
+   * Opens the IndexedDB backend (creating or upgrading stores) and migrates legacy data.
+   * Falls back to localStorage if IndexedDB cannot be opened.
+   * @returns {Promise<object>} Backend.
+   */
+  function openStore() {
+    if (!window.indexedDB) return Promise.resolve(localBackend());
+    return new Promise(function (resolve, reject) {
+      var req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = function (e) { upgradeDB(req.result, req.transaction, e.oldVersion); };
+      req.onsuccess = function () {
+        var db = req.result;
+        // Another tab upgrading the schema: close so it can proceed
+        db.onversionchange = function () { db.close(); };
+        $('#toast-host [data-key="upgrade"]')?.remove();
+        resolve(idbBackend(db));
+      };
+      req.onerror = function () { reject(req.error); };
+      // An open tab still runs the previous version; the upgrade continues once it is closed
+      req.onblocked = function () {
+        notify('CardCue was updated. Close its other open tabs to finish loading your decks.', { type: 'warn', sticky: true, key: 'upgrade' });
+      };
+    }).then(migrateFromLocalStorage).catch(function (e) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+      return localBackend();
+    });
+  }
+
+  /** @type {object|null} Active storage backend (set once App.ready resolves). */
+  var Store = null;
+
+  /** @type {Promise<void>} Settles when every write issued so far has settled. */
+  var lastWrite = Promise.resolve();
+
+  /** @type {number} Timestamp of the last quota check (throttles estimate()). */
+  var lastQuotaCheck = 0;
+
+  /**
+   * Tracks a storage write: failures surface a warning, and App.flush() can await it.
+   * @param {Promise<any>} p - Write promise.
+   * @returns {Promise<void>} Resolves when settled (never rejects).
+   */
+  function trackWrite(p) {
+    var settled = p.then(function () { checkQuota(); }, onStorageError);
+    lastWrite = Promise.all([lastWrite, settled]).then(function () {});
+    return settled;
+  }
+
+  /**
+   * Reports a failed write to the user.
+   * @param {Error} e - Error from the backend.
+   * @returns {void}
+   */
+  function onStorageError(e) {
+    console.error('Storage write failed:', e);
+    var full = e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || /quota/i.test(e.message || ''));
+    notify(full
+      ? 'Couldn\'t save: browser storage is full. Export a backup (Export JSON), then remove cards or clear old data.'
+      : 'Couldn\'t save your latest changes (' + ((e && e.message) || 'storage error') + '). Export a backup to be safe.',
+    { type: 'error', sticky: true, key: 'storage' });
+  }
+
+  /**
+   * Warns when storage usage is near the quota. Throttled to once every 30 seconds.
+   * @param {boolean} [force] - Skip the throttle.
+   * @returns {void}
+   */
+  function checkQuota(force) {
+    if (!Store || (!force && nowMs() - lastQuotaCheck < 30000)) return;
+    lastQuotaCheck = nowMs();
+    Store.estimate().then(function (est) {
+      if (!est || !est.quota) return;
+      var ratio = est.usage / est.quota;
+      if (ratio >= QUOTA_WARN_RATIO) {
+        notify('Storage is ' + Math.round(100 * ratio) + '% full. Export a backup (Export JSON) before adding more cards.',
+          { type: 'warn', sticky: true, key: 'quota' });
+      }
+    }).catch(function () {});
+  }
+
+  /**
+   * Returns the persisted deck header (everything but cards and derived indexes).
+   * @param {object} d - Deck.
+   * @returns {{version:number,createdAt:string,updatedAt:string}} Header.
+   */
+  function deckHeader(d) {
+    return { version: d.version || 1, createdAt: d.createdAt, updatedAt: d.updatedAt };
+  }
+
+  /**
+   * Creates a record for the deck library.
+   * @param {string} id - Deck ID.
+   * @param {string} name - Display name.
+   * @returns {{id:string,name:string,version:number,createdAt:string,updatedAt:string,deckMeta:object|null,sessionCount:number,
+   *   cardCount:number,presets:object[]}} Record.
+   */
+  function newDeckRecord(id, name) {
+    return {
+      id: id, name: name, version: 1, createdAt: nowISO(), updatedAt: nowISO(),
+      deckMeta: null, sessionCount: 0, cardCount: 0, presets: []
+    };
+  }
+
+  /**
+   * Name for the deck created from pre-library data: the imported file name, else "My deck".
+   * @param {{name?:string}|null} meta - Legacy deck meta.
+   * @returns {string} Name.
+   */
+  function defaultDeckName(meta) {
+    var n = meta && meta.name ? String(meta.name).replace(/\.(xlsx|json)$/i, '') : '';
+    return n || 'My deck';
+  }
+
   // ---------- Storage + model ----------
-  var SR_STEPS = [1, 3, 7, 14]; // days
 
-  /** @type {{version:number,createdAt:string,updatedAt:string,cards:Array,topicIndex:Object}} */
-  var deck = loadDeck();
+  /** Card types, as stored in a card's `type`. */
+  var CARD_TYPES = ['flashcard', 'mcq', 'cloze'];
+
+  /**
+   * In-memory active deck; every page reads this. Filled from the store when App.ready resolves.
+   * @type {{id:string,name:string,version:number,createdAt:string,updatedAt:string,cards:Array,topicIndex:Object}}
+   */
+  var deck = newDeck();
+
+  /**
+   * Deck library records (see newDeckRecord), oldest first.
+   * @type {object[]}
+   */
+  var deckLibrary = [];
+
+  /** @type {string} Card order as last written (order is only rewritten when it changes). */
+  var lastOrderKey = '';
 
   /**
    * Creates a new empty deck object.
-   * @returns {{version:number,createdAt:string,updatedAt:string,cards:Array,topicIndex:Object}} Deck.
+   * @param {string} [id] - Deck ID (defaults to the default deck).
+   * @param {string} [name] - Deck name.
+   * @returns {{id:string,name:string,version:number,createdAt:string,updatedAt:string,cards:Array,topicIndex:Object}} Deck.
+   */
+  function newDeck(id, name) {
+    return {
+      id: id || DEFAULT_DECK_ID, name: name || 'My deck',
+      version: 1, createdAt: nowISO(), updatedAt: nowISO(), cards: [], topicIndex: {}
+    };
+  }
+
+  /**
+   * Returns the library record of a deck, or null.
+   * @param {string} id - Deck ID.
+   * @returns {object|null} Record.
+   */
+  function findDeckRecord(id) {
+    return deckLibrary.find(function (r) { return r.id === id; }) || null;
+  }
+
+  /**
+   * Returns the active deck's library record, creating it if missing.
+   * @returns {object} Record.
    */
-  function newDeck() {
-    return { version: 1, createdAt: nowISO(), updatedAt: nowISO(), cards: [], topicIndex: {} };
+  function activeRecord() {
+    var rec = findDeckRecord(deck.id);
+    if (!rec) { rec = newDeckRecord(deck.id, deck.name); deckLibrary.push(rec); }
+    return rec;
   }
 
   /**
@@ -177,9 +1238,56 @@
 
   /**
    * Initialises spaced-repetition fields.
-   * @returns {{intervalDays:number,nextDue:number,lastReviewed:number}} SR info.
+   * @returns {{intervalDays:number,nextDue:number,lastReviewed:number,ease:number,reps:number,lapses:number}} SR info.
+   */
+  function initSR() {
+    return { intervalDays: 0, nextDue: 0, lastReviewed: 0, ease: SR_DEFAULT_EASE, reps: 0, lapses: 0 };
+  }
+
+  /** Flag colours a card can be marked with. */
+  var FLAG_COLORS = ['red', 'orange', 'green', 'blue', 'purple'];
+
+  /** Topic added to leeches when the leech action is 'tag'. */
+  var LEECH_TOPIC = 'leech';
+
+  /**
+   * Creates the default study state: in rotation, not buried, unflagged.
+   * `buriedUntil` is a timestamp (0 = not buried); `flag` is null or {color, note}.
+   * @returns {{suspended:boolean,buriedUntil:number,flag:{color:string,note:string}|null,leech:boolean}} State.
+   */
+  function initState() {
+    return { suspended: false, buriedUntil: 0, flag: null, leech: false };
+  }
+
+  /**
+   * Normalises a card's study state (missing or partial values from older decks and imports).
+   * @param {object} [st] - Raw state.
+   * @returns {object} State (see initState).
+   */
+  function normaliseState(st) {
+    var out = Object.assign(initState(), st && typeof st === 'object' ? st : {});
+    out.suspended = !!out.suspended;
+    out.leech = !!out.leech;
+    out.buriedUntil = Math.max(0, toMs(out.buriedUntil || 0) || 0);
+    var f = out.flag;
+    if (f && typeof f === 'object' && (f.color || f.note)) {
+      out.flag = { color: FLAG_COLORS.indexOf(f.color) >= 0 ? f.color : (f.color ? FLAG_COLORS[0] : ''), note: String(f.note || '') };
+    } else {
+      out.flag = null;
+    }
+    return out;
+  }
+
+  /**
+   * Whether a card takes part in study sessions: not suspended and not buried.
+   * @param {object} c - Card.
+   * @param {number} [now] - Time to check the burial against.
+   * @returns {boolean} True if the card can be studied.
    */
-  function initSR() { return { intervalDays: 0, nextDue: 0, lastReviewed: 0 }; }
+  function isStudyable(c, now) {
+    var st = c.state;
+    return !st || (!st.suspended && !(st.buriedUntil > (now || nowMs())));
+  }
 
   /**
    * Ensures a card object has required fields and normalises legacy values.
@@ -192,244 +1300,3059 @@
     if (!c.type) c.type = 'flashcard';
     if (!c.stats) c.stats = initStats();
     if (!c.sr) c.sr = initSR();
-    if (!c.topics) c.topics = [];
+    migrateSR(c.sr, c.stats);
+    c.state = normaliseState(c.state);
+    c.topics = typeof c.topics === 'string' ? parseTopicsCell(c.topics)
+      : Array.isArray(c.topics) ? c.topics.map(normaliseTopic).filter(Boolean) : [];
     if (typeof c.correct === 'undefined' && typeof c.answer === 'string') {
-      c.correct = ({ A: 0, B: 1, C: 2, D: 3 }[c.answer.trim().toUpperCase()] ?? 0);
+      var letters = parseChoiceLetters(c.answer) || [];
+      c.correct = letters.length > 1 ? letters : Math.max(0, letters[0] ?? 0);
     }
+    if (c.type === 'mcq') normaliseCorrect(c);
+    if (c.type === 'cloze') {
+      c.cloze = parseInt(c.cloze, 10) || clozeIndexes(c.text)[0] || 1;
+      var m = /^(.+)-c\d+$/.exec(c.id);
+      if (!c.note) c.note = m ? m[1] : c.id;
+    }
+    // Only stored when set, so cards that shuffle as usual are unchanged
+    if (c.keepOrder === true || (c.keepOrder && c.keepOrder !== 'false')) c.keepOrder = true; else delete c.keepOrder;
     return c;
   }
 
   /**
-   * Loads the deck from localStorage or creates a new one.
+   * Loads a deck saved whole in localStorage or creates a new one.
+   * Used by the localStorage backend and the one-time IndexedDB migration.
+   * @param {string} key - localStorage key.
    * @returns {object} Deck.
    */
-  function loadDeck() {
+  function loadDeck(key) {
     try {
-      var raw = localStorage.getItem(KEY);
+      var raw = localStorage.getItem(key);
       if (!raw) return newDeck();
       var d = JSON.parse(raw);
-      (d.cards || []).forEach(hydrateCard);
-      buildTopicIndex(d);
-      // expose for devtools/other scripts
-      window.cards = d.cards;
+      d.cards = (d.cards || []).map(hydrateCard);
       return d;
     } catch (e) { console.error(e); return newDeck(); }
   }
 
+  /** Separator between the levels of a hierarchical topic, e.g. "Cardiology::Arrhythmia::AF". */
+  var TOPIC_SEP = '::';
+
   /**
-   * Builds a topic index mapping topic -> array of card IDs.
-   * @param {object} d - Deck object to mutate.
-   * @returns {void}
+   * Tidies a topic name: trims it and each of its levels, dropping empty levels.
+   * @param {string} t - Topic.
+   * @returns {string} Topic ('' if nothing is left).
    */
-  function buildTopicIndex(d) {
-    var idx = {};
-    (d.cards || []).forEach(function (c) { (c.topics || []).forEach(function (t) { (idx[t] || (idx[t] = [])).push(c.id); }); });
-    d.topicIndex = idx;
+  function normaliseTopic(t) {
+    return String(t == null ? '' : t).split(TOPIC_SEP)
+      .map(function (part) { return part.trim(); }).filter(Boolean).join(TOPIC_SEP);
   }
 
   /**
-   * Replaces the current deck and persists it.
-   * @param {object} newDeckObj - New deck object.
-   * @returns {void}
+   * A topic and its parents, outermost first ("A::B::C" -> ["A", "A::B", "A::B::C"]).
+   * @param {string} t - Topic.
+   * @returns {string[]} Paths.
    */
-  function setDeck(newDeckObj) {
-    deck = newDeckObj;
-    buildTopicIndex(deck);
-    window.cards = deck.cards;
-    persist();
+  function topicAncestry(t) {
+    var parts = t.split(TOPIC_SEP);
+    return parts.map(function (_, i) { return parts.slice(0, i + 1).join(TOPIC_SEP); });
   }
 
   /**
-   * Persists the current deck to localStorage and refreshes UI views if present.
-   * @returns {void}
+   * Whether a card is filed under a topic, directly or through one of its subtopics.
+   * @param {object} c - Card.
+   * @param {string} topic - Topic path.
+   * @returns {boolean} True if it is.
    */
-  function persist() {
-    deck.updatedAt = nowISO();
-    localStorage.setItem(KEY, JSON.stringify(deck));
-    window.cards = deck.cards;
-    safe(updateOverview); safe(renderTopics); safe(renderReview);
+  function hasTopic(c, topic) {
+    var prefix = topic + TOPIC_SEP;
+    return (c.topics || []).some(function (t) { return t === topic || t.indexOf(prefix) === 0; });
+  }
+
+  /**
+   * Tidies a topic selection: topics to include, whether a card needs any or all of them, and topics to leave out.
+   * A topic both included and excluded is excluded.
+   * @param {{topics?:string[],mode?:string,exclude?:string[]}} [sel] - Raw selection.
+   * @returns {{topics:string[],mode:'any'|'all',exclude:string[]}} Selection.
+   */
+  function normaliseTopicSelection(sel) {
+    sel = sel || {};
+    var clean = function (list) {
+      var seen = new Set();
+      (Array.isArray(list) ? list : []).forEach(function (t) { t = normaliseTopic(t); if (t) seen.add(t); });
+      return Array.from(seen);
+    };
+    var exclude = clean(sel.exclude);
+    return {
+      topics: clean(sel.topics).filter(function (t) { return exclude.indexOf(t) < 0; }),
+      mode: sel.mode === 'all' ? 'all' : 'any',
+      exclude: exclude
+    };
+  }
+
+  /**
+   * Whether a card matches a topic selection. Each topic includes its subtopics; no included topics means any topic.
+   * @param {object} c - Card.
+   * @param {{topics:string[],mode:string,exclude:string[]}} sel - Selection (see normaliseTopicSelection).
+   * @returns {boolean} True if it does.
+   */
+  function matchesTopicSelection(c, sel) {
+    var has = function (t) { return hasTopic(c, t); };
+    if (sel.exclude.some(has)) return false;
+    if (!sel.topics.length) return true;
+    return sel.mode === 'all' ? sel.topics.every(has) : sel.topics.some(has);
+  }
+
+  /**
+   * Describes a topic selection for labels ("Any of A, B · not C").
+   * @param {{topics:string[],mode:string,exclude:string[]}} sel - Selection (see normaliseTopicSelection).
+   * @returns {string} Description.
+   */
+  function describeTopicSelection(sel) {
+    var text = !sel.topics.length ? 'All topics'
+      : sel.topics.length === 1 ? sel.topics[0]
+      : (sel.mode === 'all' ? 'All of ' : 'Any of ') + sel.topics.join(', ');
+    return sel.exclude.length ? text + ' · not ' + sel.exclude.join(', ') : text;
+  }
+
+  /**
+   * Builds a topic index mapping topic -> array of card IDs. Parent topics ("A" for "A::B")
+   * list the cards of all their subtopics, each card once.
+   * @param {object} d - Deck object to mutate.
+   * @returns {void}
+   */
+  function buildTopicIndex(d) {
+    var idx = {};
+    (d.cards || []).forEach(function (c) {
+      var paths = new Set();
+      (c.topics || []).forEach(function (t) { topicAncestry(t).forEach(function (p) { paths.add(p); }); });
+      paths.forEach(function (p) { (idx[p] || (idx[p] = [])).push(c.id); });
+    });
+    d.topicIndex = idx;
+  }
+
+  /**
+   * Arranges cards' topics as a tree. Each node counts the distinct cards filed under it or its subtopics,
+   * with their answers rolled up.
+   * @param {object[]} cards - Cards.
+   * @returns {Array<{name:string,path:string,depth:number,count:number,seen:number,correct:number,children:object[]}>}
+   *   Top-level nodes, children sorted by name.
+   */
+  function topicTree(cards) {
+    var roots = [], nodes = {};
+    cards.forEach(function (c) {
+      var counted = new Set();
+      (c.topics || []).forEach(function (t) {
+        topicAncestry(t).forEach(function (path, depth, all) {
+          var node = nodes[path];
+          if (!node) {
+            node = nodes[path] = { name: path.split(TOPIC_SEP)[depth], path: path, depth: depth, count: 0, seen: 0, correct: 0, children: [] };
+            (depth ? nodes[all[depth - 1]].children : roots).push(node);
+          }
+          if (counted.has(path)) return;
+          counted.add(path);
+          node.count += 1;
+          node.seen += (c.stats && c.stats.seen) || 0;
+          node.correct += (c.stats && c.stats.correct) || 0;
+        });
+      });
+    });
+    var sort = function (list) {
+      list.sort(function (a, b) { return a.name.localeCompare(b.name); });
+      list.forEach(function (n) { sort(n.children); });
+      return list;
+    };
+    return sort(roots);
+  }
+
+  /**
+   * Replaces the active deck's contents and persists only the cards that differ from the previous ones.
+   * The deck keeps its library ID and name. The change is recorded for undo.
+   * @param {object} newDeckObj - New deck object.
+   * @param {string|object} [history] - Undo label or entry details (see trackHistory); defaults to "Edit deck".
+   * @returns {Promise<void>} Resolves when the write has settled.
+   */
+  function setDeck(newDeckObj, history) {
+    newDeckObj.id = deck.id; newDeckObj.name = deck.name;
+    deck = newDeckObj;
+    deck.cards = (deck.cards || []).map(hydrateCard);
+    buildTopicIndex(deck);
+    var live = {};
+    var put = deck.cards.filter(function (c) { live[c.id] = true; return shadow[c.id] !== JSON.stringify(c); });
+    var del = Object.keys(shadow).filter(function (id) { return !live[id]; });
+    return persist({ put: put, del: del }, history || 'Edit deck');
+  }
+
+  /**
+   * Persists the deck and emits deck:changed plus card:updated for each written card.
+   * With a change-set only the listed cards are written; without one the whole deck is rewritten.
+   * @param {{put?:object[],del?:string[],cause?:string}} [change] - Cards to write, IDs to delete and
+   *   the event cause (defaults to 'edit').
+   * @param {string|object} [history] - Records the change for undo (see trackHistory).
+   * @returns {Promise<void>} Resolves when the write has settled.
+   */
+  function persist(change, history) {
+    deck.updatedAt = nowISO();
+    window.cards = deck.cards;
+    trackHistory(change, history);
+    var done = Store ? writeDeck(change) : Promise.resolve();
+    var put = change ? (change.put || []) : deck.cards;
+    var del = change ? (change.del || []) : [];
+    announceCards(put, del, !change);
+    emitDeckChanged(put, del, (change && change.cause) || 'edit',
+      history ? (typeof history === 'string' ? history : history.label) : null);
+    return done;
+  }
+
+  /**
+   * Emits deck:changed for the active deck, then card:updated for each written card.
+   * @param {object[]} put - Written cards.
+   * @param {string[]} del - Deleted card IDs.
+   * @param {string} cause - 'edit' | 'review' | 'undo' | 'redo' | 'sync'.
+   * @param {string|null} label - Undo label of the change, if any.
+   * @returns {void}
+   */
+  function emitDeckChanged(put, del, cause, label) {
+    var info = { deckId: deck.id, cause: cause, label: label };
+    emit('deck:changed', Object.assign({ put: put.map(function (c) { return c.id; }), del: del }, info));
+    put.forEach(function (c) { emit('card:updated', Object.assign({ card: c }, info)); });
+  }
+
+  /**
+   * Sends a change-set for the active deck, plus its updated library record, to the storage backend.
+   * @param {{put?:object[],del?:string[]}} [change] - Change-set; omitted for a full rewrite.
+   * @returns {Promise<void>} Resolves when settled.
+   */
+  function writeDeck(change) {
+    var order = deck.cards.map(function (c) { return c.id; });
+    var orderKey = order.join('\n');
+    var rec = Object.assign(activeRecord(), deckHeader(deck), { cardCount: deck.cards.length });
+    var w = { record: rec };
+    if (change) {
+      w.put = change.put || [];
+      w.del = change.del || [];
+    } else {
+      w.replace = true; w.put = deck.cards;
+    }
+    if (!change || orderKey !== lastOrderKey) { w.order = order; lastOrderKey = orderKey; }
+    return trackWrite(Store.writeDeck(deck.id, w));
+  }
+
+  // ---------- Undo / redo ----------
+
+  /** Undo steps kept per page. */
+  var HISTORY_MAX = 50;
+
+  /** Store meta key holding the most recent destructive operation, so it can still be undone after a reload. */
+  var HISTORY_META_KEY = 'lastUndo';
+
+  /** Review log entries an operation may add or remove and still be kept for undo after a reload. */
+  var HISTORY_META_MAX_REVIEWS = 2000;
+
+  /** @type {Object<string,string>} Card ID -> JSON as last persisted; the "before" side of the next history entry. */
+  var shadow = {};
+
+  /** @type {string[]} Card order as last persisted. */
+  var shadowOrder = [];
+
+  /** @type {object[]} Undo and redo stacks (newest last). */
+  var undoStack = [], redoStack = [];
+
+  /**
+   * Re-reads the shadow copy from the active deck and empties both stacks (after loading a deck).
+   * @returns {void}
+   */
+  function resetHistory() {
+    shadow = {};
+    deck.cards.forEach(function (c) { shadow[c.id] = JSON.stringify(c); });
+    shadowOrder = deck.cards.map(function (c) { return c.id; });
+    undoStack = []; redoStack = [];
+  }
+
+  /**
+   * Diffs two persisted copies of a card. A card that was added or deleted keeps its whole JSON on the other
+   * side; a changed card keeps only its changed top-level fields (field -> JSON), with a field missing on a
+   * side meaning it was unset there.
+   * @param {string} id - Card ID.
+   * @param {string|null} before - JSON before (null if the card did not exist).
+   * @param {string|null} after - JSON after (null if deleted).
+   * @returns {{id:string,before:any,after:any,fields?:boolean}} Diff.
+   */
+  function diffCard(id, before, after) {
+    if (before === null || after === null) return { id: id, before: before, after: after };
+    var a = JSON.parse(before), b = JSON.parse(after), d = { id: id, fields: true, before: {}, after: {} };
+    Object.keys(Object.assign({}, a, b)).forEach(function (k) {
+      var x = JSON.stringify(a[k]), y = JSON.stringify(b[k]);
+      if (x === y) return;
+      if (x !== undefined) d.before[k] = x;
+      if (y !== undefined) d.after[k] = y;
+    });
+    return d;
+  }
+
+  /**
+   * Whether a card (as persisted) matches one side of a card diff.
+   * @param {{before:any,after:any,fields?:boolean}} d - Diff from diffCard.
+   * @param {'before'|'after'} side - Side to compare with.
+   * @param {string|null} json - Card JSON (null if the card does not exist).
+   * @returns {boolean} True if it matches.
+   */
+  function matchesDiff(d, side, json) {
+    if (!d.fields) return json === d[side];
+    if (json === null) return false;
+    var c = JSON.parse(json), want = d[side];
+    return Object.keys(Object.assign({}, d.before, d.after)).every(function (k) { return JSON.stringify(c[k]) === want[k]; });
+  }
+
+  /**
+   * Diffs the cards touched by a persist against the shadow copy and updates it. When `history` is given,
+   * the diff is pushed as an undoable entry. Review answers persist without `history` and only refresh the shadow.
+   * @param {{put?:object[],del?:string[]}} [change] - Change-set (omitted for a full rewrite).
+   * @param {string|{label:string,toast?:string,reviews?:{added:object[],removed:object[]},
+   *   meta?:{before:any,after:any},hooks?:{undo:Function,redo:Function}}} [history] - Entry label or details.
+   *   `toast` marks a destructive operation: it is announced with an Undo button and kept across reloads.
+   *   `reviews` lists the review log entries the operation added and removed.
+   * @returns {object|null} The new entry, if any.
+   */
+  function trackHistory(change, history) {
+    var diffs = [];
+    function note(id, after) {
+      var before = Object.prototype.hasOwnProperty.call(shadow, id) ? shadow[id] : null;
+      if (before !== after) diffs.push(diffCard(id, before, after));
+      if (after === null) delete shadow[id]; else shadow[id] = after;
+    }
+    if (change) {
+      (change.put || []).forEach(function (c) { note(c.id, JSON.stringify(c)); });
+      (change.del || []).forEach(function (id) { note(id, null); });
+    } else {
+      var live = {};
+      deck.cards.forEach(function (c) { live[c.id] = true; note(c.id, JSON.stringify(c)); });
+      Object.keys(shadow).forEach(function (id) { if (!live[id]) note(id, null); });
+    }
+    var order = deck.cards.map(function (c) { return c.id; });
+    var orderChanged = order.join('\n') !== shadowOrder.join('\n');
+    var entry = null;
+    if (history) {
+      if (typeof history === 'string') history = { label: history };
+      if (diffs.length || orderChanged || history.reviews || history.meta || history.hooks) {
+        entry = Object.assign({ deckId: deck.id, ts: Date.now(), cards: diffs }, history);
+        if (orderChanged) { entry.orderBefore = shadowOrder; entry.orderAfter = order; }
+      }
+    }
+    shadowOrder = order;
+    if (entry) pushHistory(entry);
+    return entry;
+  }
+
+  /**
+   * Adds an entry to the undo stack (dropping the oldest beyond HISTORY_MAX) and clears redo.
+   * Destructive entries are announced with an Undo toast and saved for undo after a reload.
+   * @param {object} entry - History entry.
+   * @returns {void}
+   */
+  function pushHistory(entry) {
+    undoStack.push(entry);
+    if (undoStack.length > HISTORY_MAX) undoStack.shift();
+    redoStack = [];
+    if (!entry.toast) return;
+    notify(entry.toast, { key: 'undo', timeout: 8000, actions: [{ label: 'Undo', run: undo }] });
+    saveLastUndo(entry);
+  }
+
+  /**
+   * Saves (or, with null, forgets) the destructive operation that can still be undone after a reload.
+   * Operations carrying a large part of the review log are kept for this page only.
+   * @param {object|null} entry - History entry.
+   * @returns {void}
+   */
+  function saveLastUndo(entry) {
+    if (!Store || !Store.putMeta || (entry && entry.hooks)) return;
+    var r = entry && entry.reviews;
+    if (r && r.added.length + r.removed.length > HISTORY_META_MAX_REVIEWS) entry = null;
+    trackWrite(Store.putMeta(HISTORY_META_KEY, entry));
+  }
+
+  /**
+   * Adds and removes entries in the active deck's review log, in memory and in storage. Entries
+   * logged since the operation being undone or redone are kept.
+   * @param {object[]} add - Entries to add back.
+   * @param {object[]} remove - Entries to remove (matched by id).
+   * @returns {void}
+   */
+  function patchReviewLog(add, remove) {
+    var gone = new Set(remove.map(function (e) { return e.id; }));
+    reviewLog = reviewLog.filter(function (e) { return !gone.has(e.id); });
+    var have = new Set(reviewLog.map(function (e) { return e.id; }));
+    add.forEach(function (e) { if (!have.has(e.id)) reviewLog.push(e); });
+    reviewLog.sort(function (a, b) { return a.ts - b.ts; });
+    if (!Store) return;
+    var id = deck.id;
+    trackWrite(Store.clearReviews(id).then(function () { return reviewLog.length ? Store.addReviews(reviewLog) : null; }));
+    announceReviews(id);
+  }
+
+  /**
+   * Applies one side of a history entry to the active deck and persists the affected cards. Cards still
+   * in the deck are updated in place, so session pools and viewers holding them see the restored content.
+   * @param {object} entry - History entry.
+   * @param {'undo'|'redo'} dir - Direction.
+   * @returns {void}
+   */
+  function applyHistory(entry, dir) {
+    var side = dir === 'undo' ? 'before' : 'after';
+    var map = {}; deck.cards.forEach(function (c) { map[c.id] = c; });
+    var put = [], del = [];
+    entry.cards.forEach(function (d) {
+      var cur = map[d.id];
+      if (d.fields) {
+        // Changed fields only; a card deleted since cannot be patched
+        if (!cur) return;
+        Object.keys(Object.assign({}, d.before, d.after)).forEach(function (k) {
+          if (Object.prototype.hasOwnProperty.call(d[side], k)) cur[k] = JSON.parse(d[side][k]); else delete cur[k];
+        });
+        put.push(hydrateCard(cur));
+      } else if (d[side] === null) {
+        if (cur) { delete map[d.id]; del.push(d.id); }
+      } else {
+        var c = hydrateCard(JSON.parse(d[side]));
+        if (cur) { Object.keys(cur).forEach(function (k) { delete cur[k]; }); c = Object.assign(cur, c); }
+        map[d.id] = c; put.push(c);
+      }
+    });
+    var order = (dir === 'undo' ? entry.orderBefore : entry.orderAfter) || deck.cards.map(function (c) { return c.id; });
+    var placed = {};
+    var cards = order.filter(function (id) { return map[id]; }).map(function (id) { placed[id] = true; return map[id]; });
+    Object.keys(map).forEach(function (id) { if (!placed[id]) cards.push(map[id]); });
+    deck.cards = cards;
+    buildTopicIndex(deck);
+    if (entry.reviews) {
+      if (dir === 'undo') patchReviewLog(entry.reviews.removed, entry.reviews.added);
+      else patchReviewLog(entry.reviews.added, entry.reviews.removed);
+    }
+    if (entry.meta) App.setDeckMeta(entry.meta[side]);
+    if (entry.hooks) entry.hooks[dir]();
+    persist({ put: put, del: del, cause: dir });
+    emit('topics:changed', App.topicsList());
+  }
+
+  /**
+   * Undoes the most recent deck change.
+   * @returns {boolean} False if there was nothing to undo.
+   */
+  function undo() {
+    var entry = undoStack.pop(); if (!entry) return false;
+    applyHistory(entry, 'undo');
+    redoStack.push(entry);
+    if (entry.toast) saveLastUndo(null);
+    notify('Undone: ' + entry.label, { key: 'undo', actions: [{ label: 'Redo', run: redo }] });
+    return true;
+  }
+
+  /**
+   * Re-applies the most recently undone change.
+   * @returns {boolean} False if there was nothing to redo.
+   */
+  function redo() {
+    var entry = redoStack.pop(); if (!entry) return false;
+    applyHistory(entry, 'redo');
+    undoStack.push(entry);
+    if (entry.toast) saveLastUndo(entry);
+    notify('Redone: ' + entry.label, { key: 'undo', actions: [{ label: 'Undo', run: undo }] });
+    return true;
+  }
+
+  /**
+   * Restores the saved destructive operation after a reload, if it belongs to the active deck
+   * and nothing has touched those cards since.
+   * @returns {Promise<void>} Resolves when done.
+   */
+  function restoreHistory() {
+    if (!Store || !Store.getMeta) return Promise.resolve();
+    return Store.getMeta(HISTORY_META_KEY).then(function (entry) {
+      // Entries saved before history kept field diffs and review deltas are not restored
+      if (!entry || entry.deckId !== deck.id || (entry.reviews && !entry.reviews.added)) return;
+      var current = entry.cards.every(function (d) {
+        return matchesDiff(d, 'after', Object.prototype.hasOwnProperty.call(shadow, d.id) ? shadow[d.id] : null);
+      });
+      var logged = new Set(reviewLog.map(function (e) { return e.id; }));
+      if (entry.reviews && (!entry.reviews.added.every(function (e) { return logged.has(e.id); }) ||
+        entry.reviews.removed.some(function (e) { return logged.has(e.id); }))) current = false;
+      if (current) undoStack = [entry];
+    }).catch(function (e) { console.warn('Could not restore undo history', e); });
+  }
+
+  /**
+   * Binds Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo). Text fields keep their own undo.
+   * @returns {void}
+   */
+  function initHistoryBindings() {
+    window.addEventListener('keydown', function (e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      var k = (e.key || '').toLowerCase();
+      if (k !== 'z' && k !== 'y') return;
+      var t = e.target;
+      if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+      e.preventDefault();
+      if (k === 'y' || e.shiftKey) redo(); else undo();
+    });
+  }
+
+  // ---------- Cloze notes ----------
+  // A cloze note is text with deletions such as "the {{c1::mitral}} valve" or "{{c2::left::side}}" (answer::hint).
+  // Each deletion number becomes a card of its own (type 'cloze', id "<note>-c<n>", with `note` and `cloze` set) with
+  // its own stats and scheduling; the cards of a note share its text, topics and explanation.
+
+  /** One cloze deletion: number, answer and optional hint. */
+  var CLOZE_RE = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+  /**
+   * Splits cloze text into plain runs and deletions.
+   * @param {string} text - Note text.
+   * @returns {({text:string}|{n:number,answer:string,hint:string})[]} Parts in order.
+   */
+  function clozeParts(text) {
+    var parts = [], last = 0, m;
+    text = String(text || '');
+    CLOZE_RE.lastIndex = 0;
+    while ((m = CLOZE_RE.exec(text))) {
+      if (m.index > last) parts.push({ text: text.slice(last, m.index) });
+      parts.push({ n: parseInt(m[1], 10), answer: m[2], hint: m[3] || '' });
+      last = CLOZE_RE.lastIndex;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last) });
+    return parts;
+  }
+
+  /**
+   * The deletion numbers used in cloze text.
+   * @param {string} text - Note text.
+   * @returns {number[]} Distinct numbers, ascending.
+   */
+  function clozeIndexes(text) {
+    var seen = {};
+    clozeParts(text).forEach(function (p) { if (p.n) seen[p.n] = true; });
+    return Object.keys(seen).map(Number).sort(function (a, b) { return a - b; });
+  }
+
+  /**
+   * Renders cloze text for card `n`: its deletions are blanked ("[…]" or "[hint]") until revealed, and the other
+   * deletions show their answers.
+   * @param {string} text - Note text.
+   * @param {number} n - Deletion number being asked.
+   * @param {boolean} [reveal] - Show the answers of deletion `n` (highlighted).
+   * @returns {string} HTML.
+   */
+  function clozeHTML(text, n, reveal) {
+    return clozeParts(text).map(function (p) {
+      if (!p.n) return escapeHTML(p.text);
+      if (p.n !== n) return escapeHTML(p.answer);
+      return reveal ? '<span class="cloze revealed">' + escapeHTML(p.answer) + '</span>'
+        : '<span class="cloze">[' + escapeHTML(p.hint || '…') + ']</span>';
+    }).join('');
+  }
+
+  /**
+   * Cloze text for card `n` as plain text, with its deletions blanked (for labels, reports and search results).
+   * @param {string} text - Note text.
+   * @param {number} n - Deletion number.
+   * @returns {string} Text.
+   */
+  function clozeText(text, n) {
+    return clozeParts(text).map(function (p) {
+      return !p.n ? p.text : p.n !== n ? p.answer : '[' + (p.hint || '…') + ']';
+    }).join('');
+  }
+
+  /**
+   * The answer(s) to card `n` of a cloze note.
+   * @param {string} text - Note text.
+   * @param {number} n - Deletion number.
+   * @returns {string} Answers joined with "; ".
+   */
+  function clozeAnswer(text, n) {
+    return clozeParts(text).filter(function (p) { return p.n === n; }).map(function (p) { return p.answer; }).join('; ');
+  }
+
+  /**
+   * The cards a cloze note generates, one per deletion number, without stats (see hydrateCard).
+   * @param {{id:string,text:string,topics?:string[],explanation?:string}} note - Note.
+   * @returns {object[]} Cards, by deletion number.
+   */
+  function clozeCards(note) {
+    return clozeIndexes(note.text).map(function (n) {
+      return {
+        id: note.id + '-c' + n, type: 'cloze', note: note.id, cloze: n, text: String(note.text || ''),
+        topics: (note.topics || []).slice(), explanation: note.explanation || ''
+      };
+    });
+  }
+
+  /**
+   * A card's prompt as plain text: the question, the front, or the cloze text with its deletions blanked.
+   * @param {object} c - Card.
+   * @returns {string} Text.
+   */
+  function cardPrompt(c) {
+    if (c.type === 'mcq') return c.question || '';
+    if (c.type === 'cloze') return clozeText(c.text, c.cloze);
+    return c.front || '';
+  }
+
+  /**
+   * A card's answer as plain text: the correct choice(s), the back, or the cloze answer.
+   * @param {object} c - Card.
+   * @returns {string} Text.
+   */
+  function cardAnswer(c) {
+    if (c.type === 'mcq') return correctAnswerText(c);
+    if (c.type === 'cloze') return clozeAnswer(c.text, c.cloze);
+    return c.back || '';
   }
 
   // ---------- Import / Export ----------
 
   /**
-   * Parses a topics cell into an array.
-   * @param {string} s - Raw topics cell contents.
-   * @returns {string[]} Topic list.
+   * Parses a topics cell into an array. Topics are separated by `;` or `,`; levels of a topic by `::`.
+   * @param {string} s - Raw topics cell contents.
+   * @returns {string[]} Topic list.
+   */
+  function parseTopicsCell(s) {
+    if (!s) return [];
+    return String(s).split(/[;,]/).map(normaliseTopic).filter(Boolean);
+  }
+
+  /** Letters for MCQ choices, by index. */
+  var CHOICE_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+
+  /** Fewest and most choices an MCQ can have. */
+  var MIN_CHOICES = 2, MAX_CHOICES = CHOICE_LETTERS.length;
+
+  /** How a select-all-that-apply MCQ is marked: only a fully right answer scores, or each right pick counts. */
+  var MCQ_SCORING = ['all', 'partial'];
+
+  /** Recognised XLSX columns per sheet (lower-case; headers are matched case-insensitively). */
+  var XLSX_COLUMNS = {
+    flashcards: ['id', 'front', 'back', 'topics', 'explanation'],
+    mcq: ['id', 'question'].concat(CHOICE_LETTERS.map(function (L) { return 'choice' + L.toLowerCase(); }),
+      ['correct', 'scoring', 'topics', 'explanation', 'keeporder']),
+    cloze: ['id', 'text', 'topics', 'explanation']
+  };
+
+  /** Recognised card keys in JSON imports. */
+  var JSON_CARD_KEYS = ['id', 'type', 'front', 'back', 'question', 'choices', 'correct', 'answer', 'scoring', 'text', 'note', 'cloze', 'explanation', 'topics', 'keepOrder', 'stats', 'sr', 'state'];
+
+  /** A choice that points at the others ("All of the above", "A and B"); cards with one keep their choice order. */
+  var POSITIONAL_CHOICE_RE = /\b(all|none|both|neither) of (the )?(above|below|these|the options)\b|\b[A-J] (and|or|&) [A-J]\b/i;
+
+  /**
+   * Reads correct choice(s) given as a letter ("B"), a list of letters ("A, C" or "A;C"), an index or an array of
+   * letters/indexes. Unknown letters and bad indexes come back as -1 so they can be reported.
+   * @param {*} v - Raw value.
+   * @returns {number[]|null} Choice indexes, or null when empty.
+   */
+  function parseChoiceLetters(v) {
+    function one(x) {
+      if (typeof x === 'number') return Number.isInteger(x) && x >= 0 ? x : -1;
+      return CHOICE_LETTERS.indexOf(String(x).trim().toUpperCase());
+    }
+    if (v == null) return null;
+    var parts = Array.isArray(v) ? v : typeof v === 'number' ? [v] : String(v).split(/[\s,;]+/).filter(Boolean);
+    return parts.length ? parts.map(one) : null;
+  }
+
+  /**
+   * Normalises an MCQ's answer key: `correct` stays an index for single-answer cards and becomes a sorted array of
+   * indexes on select-all-that-apply cards; `scoring` is only kept as 'partial' on those.
+   * @param {object} c - MCQ card (mutated).
+   * @returns {void}
+   */
+  function normaliseCorrect(c) {
+    if (c.scoring === 'partial' && typeof c.correct === 'number') c.correct = [c.correct];
+    if (Array.isArray(c.correct)) {
+      c.correct = (parseChoiceLetters(c.correct) || []).filter(function (i, k, a) { return i >= 0 && a.indexOf(i) === k; })
+        .sort(function (a, b) { return a - b; });
+    }
+    if (c.scoring === 'partial' && Array.isArray(c.correct)) c.scoring = 'partial'; else delete c.scoring;
+  }
+
+  /**
+   * Whether an MCQ is "select all that apply" (its `correct` is a list).
+   * @param {object} c - Card.
+   * @returns {boolean} True for multi-answer cards.
+   */
+  function isMultiAnswer(c) { return Array.isArray(c.correct); }
+
+  /**
+   * The correct choice indexes of an MCQ (one for single-answer cards).
+   * @param {object} c - Card.
+   * @returns {number[]} Indexes.
+   */
+  function correctChoices(c) {
+    if (Array.isArray(c.correct)) return c.correct.slice();
+    if (typeof c.correct === 'number') return [c.correct];
+    return [Math.max(0, CHOICE_LETTERS.indexOf(String(c.answer || 'A').trim().toUpperCase()))];
+  }
+
+  /**
+   * The correct choice of a single-answer MCQ (the first one on multi-answer cards).
+   * @param {object} c - Card.
+   * @returns {number} Index.
+   */
+  function correctChoice(c) { return correctChoices(c)[0]; }
+
+  /**
+   * Joins choice indexes as letters, e.g. [0, 2] -> "A, C".
+   * @param {number[]} indexes - Choice indexes.
+   * @returns {string} Letters.
+   */
+  function choiceLetters(indexes) {
+    return indexes.map(function (i) { return CHOICE_LETTERS[i] || '?'; }).join(', ');
+  }
+
+  /**
+   * An MCQ's correct choice(s) with their text, e.g. "A) Aorta; C) Vena cava".
+   * @param {object} c - Card.
+   * @returns {string} Text.
+   */
+  function correctAnswerText(c) {
+    return correctChoices(c).map(function (i) { return CHOICE_LETTERS[i] + ') ' + ((c.choices || [])[i] || ''); }).join('; ');
+  }
+
+  /**
+   * Marks an MCQ answer. Single-answer cards and all-or-nothing cards score 1 only when exactly the correct choices
+   * were picked; partial-credit cards score (right picks - wrong picks) / correct choices, never below 0.
+   * @param {object} c - Card.
+   * @param {number|number[]|null} chosen - Picked choice index(es).
+   * @returns {number} Credit from 0 to 1.
+   */
+  function scoreMCQ(c, chosen) {
+    var right = correctChoices(c);
+    var picks = chosen == null ? [] : [].concat(chosen);
+    var hits = picks.filter(function (i) { return right.indexOf(i) >= 0; }).length;
+    var misses = picks.length - hits;
+    if (hits === right.length && !misses) return 1;
+    if (!isMultiAnswer(c) || c.scoring !== 'partial') return 0;
+    return Math.max(0, (hits - misses) / right.length);
+  }
+
+  /**
+   * The grade an MCQ answer is scheduled with: Good when fully right, Hard for at least half credit, else Again.
+   * Only full credit counts as correct (see applyReview).
+   * @param {number} credit - From scoreMCQ.
+   * @returns {string} Grade.
+   */
+  function creditGrade(credit) {
+    return credit >= 1 ? 'good' : credit >= 0.5 ? 'hard' : 'again';
+  }
+
+  /**
+   * Whether an MCQ's choices are shown in their stored order: shuffling is off, the card opts out (`keepOrder`),
+   * or one of its choices points at the others by position.
+   * @param {object} c - Card.
+   * @returns {boolean} True to keep the order.
+   */
+  function keepsChoiceOrder(c) {
+    return !__settings.shuffleChoices || !!c.keepOrder ||
+      (c.choices || []).some(function (t) { return POSITIONAL_CHOICE_RE.test(String(t || '')); });
+  }
+
+  /**
+   * The order to show an MCQ's choices in for one attempt, as stored choice indexes: shuffled unless
+   * keepsChoiceOrder. Empty choices are left out.
+   * @param {object} c - Card.
+   * @returns {number[]} Choice indexes in display order.
+   */
+  function choiceOrder(c) {
+    var order = [];
+    (c.choices || []).forEach(function (t, i) { if (String(t == null ? '' : t).trim()) order.push(i); });
+    return keepsChoiceOrder(c) ? order : fisherYates(order);
+  }
+
+  /**
+   * Reads a yes/no spreadsheet cell ("yes", "true", "1", "x" are yes).
+   * @param {*} v - Cell value.
+   * @returns {boolean} Value.
+   */
+  function parseFlagCell(v) {
+    return v === true || /^(y|yes|true|1|x)$/i.test(String(v == null ? '' : v).trim());
+  }
+
+  /**
+   * Creates an empty validation report shared by all files of one import.
+   * @returns {{issues:object[],ids:Object<string,string>}} Report; `ids` maps card ID -> where it was first seen.
+   */
+  function newImportReport() { return { issues: [], ids: {} }; }
+
+  /**
+   * Records a validation issue.
+   * @param {{issues:object[]}} report - Import report.
+   * @param {'error'|'warning'} severity - Errors block the import unless overridden.
+   * @param {{file?:string,sheet?:string,row?:number,column?:string,id?:string}} where - Location.
+   * @param {string} message - Human-readable description.
+   * @returns {void}
+   */
+  function addIssue(report, severity, where, message) {
+    report.issues.push({
+      severity: severity, file: where.file || '', sheet: where.sheet || '', row: where.row || '',
+      column: where.column || '', id: where.id || '', message: message
+    });
+  }
+
+  /**
+   * Describes an issue location, e.g. "deck.xlsx, MCQ row 4".
+   * @param {{file?:string,sheet?:string,row?:number}} where - Location.
+   * @returns {string} Text.
+   */
+  function issuePlace(where) {
+    return [where.file, [where.sheet, where.row ? 'row ' + where.row : ''].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Flags a card ID already used earlier in this import (same or another file).
+   * @param {{ids:Object<string,string>}} report - Import report.
+   * @param {object} where - Location of the card.
+   * @param {string} id - Card ID.
+   * @returns {void}
+   */
+  function checkDuplicateId(report, where, id) {
+    if (!id) return;
+    if (Object.prototype.hasOwnProperty.call(report.ids, id)) {
+      addIssue(report, 'error', Object.assign({ column: 'id', id: id }, where),
+        'Duplicate id "' + id + '" (also in ' + report.ids[id] + '); the last one wins');
+    } else report.ids[id] = issuePlace(where);
+  }
+
+  /**
+   * Checks an MCQ's choices and correct answer(s).
+   * @param {object} report - Import report.
+   * @param {object} where - Location of the card.
+   * @param {string[]} choices - Choice texts.
+   * @param {*} corr - Raw correct value (letter, letters such as "A, C", index or array).
+   * @returns {number|number[]|null} Correct index, sorted indexes when several are correct (or `corr` is a list),
+   *   or null if invalid.
+   */
+  function checkMCQ(report, where, choices, corr) {
+    var filled = choices.filter(function (c) { return String(c || '').trim(); }).length;
+    if (filled < MIN_CHOICES) addIssue(report, 'error', Object.assign({ column: 'choices' }, where), 'Needs at least two choices');
+    var lastFilled = -1;
+    choices.forEach(function (c, i) { if (String(c || '').trim()) lastFilled = i; });
+    if (lastFilled >= MAX_CHOICES) {
+      addIssue(report, 'error', Object.assign({ column: 'choices' }, where), 'Too many choices (' + (lastFilled + 1) + '; at most ' + MAX_CHOICES + ')');
+    }
+    if (choices.slice(0, lastFilled).some(function (c) { return !String(c || '').trim(); })) {
+      addIssue(report, 'warning', Object.assign({ column: 'choices' }, where), 'Empty choice before the last filled one');
+    }
+    var picks = parseChoiceLetters(corr);
+    if (!picks) {
+      addIssue(report, 'error', Object.assign({ column: 'correct' }, where), 'Missing correct answer');
+      return null;
+    }
+    var last = CHOICE_LETTERS[Math.min(MAX_CHOICES, Math.max(MIN_CHOICES, choices.length)) - 1];
+    if (picks.some(function (i) { return i < 0 || i >= Math.min(MAX_CHOICES, Math.max(MIN_CHOICES, choices.length)); })) {
+      addIssue(report, 'error', Object.assign({ column: 'correct' }, where), 'Invalid correct answer "' + corr + '" (use letters A to ' + last + ')');
+      return null;
+    }
+    var empty = picks.filter(function (i) { return !String(choices[i] || '').trim(); });
+    if (empty.length) {
+      addIssue(report, 'error', Object.assign({ column: 'correct' }, where),
+        'Correct answer ' + choiceLetters(empty) + (empty.length > 1 ? ' point' : ' points') + ' at an empty choice');
+    }
+    picks = picks.filter(function (i, k) { return picks.indexOf(i) === k; }).sort(function (a, b) { return a - b; });
+    return Array.isArray(corr) || picks.length > 1 ? picks : picks[0];
+  }
+
+  /**
+   * The cards an imported cloze note becomes (see clozeCards). A note without deletions, an error in the report,
+   * still gives one card, so it is listed in the import preview and can be imported anyway and fixed in the editor.
+   * @param {{id:string,text:string,topics?:string[],explanation?:string}} note - Note.
+   * @returns {object[]} Cards.
+   */
+  function importClozeNote(note) {
+    var cards = clozeCards(note);
+    if (cards.length) return cards;
+    return [{
+      id: note.id + '-c1', type: 'cloze', note: note.id, cloze: 1, text: String(note.text || ''),
+      topics: (note.topics || []).slice(), explanation: note.explanation || ''
+    }];
+  }
+
+  /**
+   * Extracts cards from an XLSX workbook.
+   * Requires a 'Flashcards', 'MCQ' and/or 'Cloze' sheet; each Cloze row is a note that becomes one card per
+   * deletion number (see importClozeNote). Problems are added to `report`
+   * with their sheet, row and column; rows with errors are still returned so the user can override.
+   *
+   * @param {object} wb - XLSX workbook instance.
+   * @param {object} [report] - Import report (see newImportReport).
+   * @param {string} [file] - File name, for the report.
+   * @returns {object[]} Array of hydrated card objects.
+   */
+  function parseCardsFromXLSX(wb, report, file) {
+    var out = [];
+    report = report || newImportReport();
+
+    function findSheet(name) {
+      var keys = wb.SheetNames || [];
+      for (var i = 0; i < keys.length; i++) {
+        if (String(keys[i]).toLowerCase() === name.toLowerCase()) return { name: keys[i], ws: wb.Sheets[keys[i]] };
+      }
+      return null;
+    }
+
+    // Rows keyed by lower-case header, tagged with their spreadsheet row number
+    function readRows(sheet, known) {
+      var header = (XLSX.utils.sheet_to_json(sheet.ws, { header: 1, defval: '' })[0] || []).map(function (h) { return String(h).trim(); });
+      var used = {};
+      header.forEach(function (h, i) {
+        if (h && used[h.toLowerCase()]) {
+          addIssue(report, 'warning', { file: file, sheet: sheet.name, row: 1, column: h }, 'Duplicate column "' + h + '"; the first non-empty value is used');
+        } else if (h && known.indexOf(h.toLowerCase()) < 0) {
+          addIssue(report, 'warning', { file: file, sheet: sheet.name, row: 1, column: h }, 'Unknown column "' + h + '" is ignored');
+        } else if (!h && i < header.length - 1) {
+          addIssue(report, 'warning', { file: file, sheet: sheet.name, row: 1, column: XLSX.utils.encode_col(i) }, 'Column without a header is ignored');
+        }
+        if (h) used[h.toLowerCase()] = true;
+      });
+      return XLSX.utils.sheet_to_json(sheet.ws, { defval: '' }).map(function (r) {
+        var row = { __row: (r.__rowNum__ || 0) + 1 };
+        Object.keys(r).forEach(function (k) {
+          var key = String(k).trim().toLowerCase();
+          if (row[key] == null || row[key] === '') row[key] = r[k];
+        });
+        return row;
+      });
+    }
+
+    var wsF = findSheet('Flashcards');
+    var wsQ = findSheet('MCQ');
+    var wsC = findSheet('Cloze');
+    if (!wsF && !wsQ && !wsC) {
+      addIssue(report, 'error', { file: file }, 'No "Flashcards", "MCQ" or "Cloze" sheet found (sheets: ' + ((wb.SheetNames || []).join(', ') || 'none') + ')');
+    }
+
+    if (wsF) {
+      readRows(wsF, XLSX_COLUMNS.flashcards).forEach(function (r) {
+        var where = { file: file, sheet: wsF.name, row: r.__row };
+        var front = String(r.front ?? '').trim() ? r.front : '';
+        var back = String(r.back ?? '').trim() ? r.back : '';
+        if (!front && !back) return;
+        var id = String(r.id ?? '').trim();
+        where.id = id;
+        if (!front) addIssue(report, 'error', Object.assign({ column: 'front' }, where), 'Missing front');
+        if (!back) addIssue(report, 'warning', Object.assign({ column: 'back' }, where), 'Missing back');
+        checkDuplicateId(report, where, id);
+        out.push(hydrateCard({
+          id: id || uid(),
+          type: 'flashcard',
+          front: String(front),
+          back: String(back),
+          explanation: String(r.explanation || ''),
+          topics: parseTopicsCell(r.topics)
+        }));
+      });
+    }
+
+    if (wsQ) {
+      readRows(wsQ, XLSX_COLUMNS.mcq).forEach(function (r) {
+        var where = { file: file, sheet: wsQ.name, row: r.__row };
+        var q = r.question || '';
+        var choices = CHOICE_LETTERS.map(function (L) { return String(r['choice' + L.toLowerCase()] ?? ''); });
+        // Columns past D only count up to the last filled one, so four-choice sheets read as before
+        while (choices.length > 4 && !choices[choices.length - 1].trim()) choices.pop();
+        if (!String(q).trim() && !choices.join('').trim()) return;
+        var id = String(r.id ?? '').trim();
+        where.id = id;
+        if (!String(q).trim()) addIssue(report, 'error', Object.assign({ column: 'question' }, where), 'Missing question');
+        var scoring = String(r.scoring ?? '').trim().toLowerCase();
+        if (scoring && MCQ_SCORING.indexOf(scoring) < 0) {
+          addIssue(report, 'warning', Object.assign({ column: 'scoring' }, where), 'Unknown scoring "' + r.scoring + '" (use all or partial)');
+          scoring = '';
+        }
+        var corr = checkMCQ(report, where, choices, r.correct) ?? 0;
+        // A scoring value makes the card select-all-that-apply even with a single correct letter
+        if (scoring && !Array.isArray(corr)) corr = [corr];
+        checkDuplicateId(report, where, id);
+        out.push(hydrateCard({
+          id: id || uid(),
+          type: 'mcq',
+          question: String(q),
+          choices: choices,
+          answer: choiceLetters([].concat(corr)),
+          correct: corr,
+          scoring: scoring,
+          explanation: String(r.explanation || ''),
+          topics: parseTopicsCell(r.topics),
+          keepOrder: parseFlagCell(r.keeporder)
+        }));
+      });
+    }
+
+    if (wsC) {
+      readRows(wsC, XLSX_COLUMNS.cloze).forEach(function (r) {
+        var where = { file: file, sheet: wsC.name, row: r.__row };
+        var text = String(r.text ?? '');
+        if (!text.trim()) return;
+        var id = String(r.id ?? '').trim();
+        where.id = id;
+        var note = { id: id || uid(), type: 'cloze', text: text, topics: parseTopicsCell(r.topics), explanation: String(r.explanation || '') };
+        checkCard(report, where, note);
+        importClozeNote(note).forEach(function (c) {
+          checkDuplicateId(report, Object.assign({}, where, { id: c.id }), c.id);
+          out.push(hydrateCard(c));
+        });
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Checks a card's content for its type (question/choices/correct for MCQs, front/back for flashcards).
+   * @param {object} report - Import report.
+   * @param {object} where - Location of the card.
+   * @param {object} c - Card.
+   * @returns {void}
+   */
+  function checkCard(report, where, c) {
+    var type = c.type || 'flashcard';
+    if (type === 'mcq') {
+      if (!String(c.question || '').trim()) addIssue(report, 'error', Object.assign({ column: 'question' }, where), 'Missing question');
+      if (!Array.isArray(c.choices)) {
+        addIssue(report, 'error', Object.assign({ column: 'choices' }, where), 'Missing choices array');
+      } else {
+        checkMCQ(report, where, c.choices, typeof c.correct !== 'undefined' ? c.correct : c.answer);
+      }
+      if (c.scoring != null && MCQ_SCORING.indexOf(c.scoring) < 0) {
+        addIssue(report, 'warning', Object.assign({ column: 'scoring' }, where), 'Unknown scoring "' + c.scoring + '" (use all or partial)');
+      }
+      if (c.keepOrder != null && typeof c.keepOrder !== 'boolean') {
+        addIssue(report, 'warning', Object.assign({ column: 'keepOrder' }, where), 'keepOrder should be true or false');
+      }
+    } else if (type === 'cloze') {
+      var numbers = clozeIndexes(c.text);
+      if (!String(c.text || '').trim()) {
+        addIssue(report, 'error', Object.assign({ column: 'text' }, where), 'Missing text');
+      } else if (!numbers.length) {
+        addIssue(report, 'error', Object.assign({ column: 'text' }, where), 'No cloze deletions (mark answers as {{c1::answer}})');
+      } else if (c.cloze != null && numbers.indexOf(Number(c.cloze)) < 0) {
+        addIssue(report, 'error', Object.assign({ column: 'cloze' }, where), 'Deletion c' + c.cloze + ' is not in the text');
+      }
+    } else if (type === 'flashcard') {
+      if (!String(c.front || '').trim()) addIssue(report, 'error', Object.assign({ column: 'front' }, where), 'Missing front');
+      if (!String(c.back || '').trim()) addIssue(report, 'warning', Object.assign({ column: 'back' }, where), 'Missing back');
+    } else {
+      addIssue(report, 'error', Object.assign({ column: 'type' }, where), 'Unknown card type "' + type + '"');
+    }
+  }
+
+  /**
+   * Extracts cards (and any review log and study presets) from an exported or hand-written JSON deck.
+   * Accepts `{cards:[...], reviewLog?:[...], presets?:[...]}` or a bare array of cards. Problems are added to `report`,
+   * with the card's position as the row (sheet "cards").
+   * @param {string} text - File contents.
+   * @param {object} [report] - Import report (see newImportReport).
+   * @param {string} [file] - File name, for the report.
+   * @returns {{cards:object[],reviewLog:object[],presets:object[]}} Hydrated cards, log entries and presets.
+   */
+  function parseCardsFromJSON(text, report, file) {
+    report = report || newImportReport();
+    var d;
+    try { d = JSON.parse(text || ''); } catch (e) {
+      addIssue(report, 'error', { file: file }, 'Not valid JSON: ' + e.message);
+      return { cards: [], reviewLog: [], presets: [] };
+    }
+    var list = Array.isArray(d) ? d : (d && Array.isArray(d.cards) ? d.cards : null);
+    if (!list) {
+      addIssue(report, 'error', { file: file, column: 'cards' }, 'Expected a "cards" array or an array of cards');
+      return { cards: [], reviewLog: [], presets: [] };
+    }
+    var unknown = {};
+    var cards = [];
+    list.forEach(function (c, i) {
+      var where = { file: file, sheet: 'cards', row: i + 1 };
+      if (!c || typeof c !== 'object' || Array.isArray(c)) {
+        addIssue(report, 'error', where, 'Card is not an object; skipped');
+        return;
+      }
+      where.id = c.id != null ? String(c.id) : '';
+      Object.keys(c).forEach(function (k) {
+        if (JSON_CARD_KEYS.indexOf(k) < 0 && !unknown[k]) {
+          unknown[k] = true;
+          addIssue(report, 'warning', Object.assign({}, where, { column: k }), 'Unknown field "' + k + '" is ignored');
+        }
+      });
+      checkCard(report, where, c);
+      // A cloze note without a deletion number stands for all of its cards
+      if (c.type === 'cloze' && c.cloze == null) {
+        importClozeNote(Object.assign({}, c, { id: where.id || uid() })).forEach(function (item) {
+          checkDuplicateId(report, Object.assign({}, where, { id: item.id }), item.id);
+          cards.push(hydrateCard(item));
+        });
+        return;
+      }
+      checkDuplicateId(report, where, where.id);
+      cards.push(hydrateCard(c));
+    });
+    var presets = [];
+    (d && Array.isArray(d.presets) ? d.presets : []).forEach(function (p, i) {
+      var preset = normalisePreset(p);
+      if (preset) presets.push(preset);
+      else addIssue(report, 'warning', { file: file, sheet: 'presets', row: i + 1 }, 'Preset has no name; skipped');
+    });
+    return { cards: cards, reviewLog: d && Array.isArray(d.reviewLog) ? d.reviewLog : [], presets: presets };
+  }
+
+  /**
+   * Downloads an import validation report as CSV.
+   * @param {object[]} issues - Issues from the report.
+   * @returns {void}
+   */
+  function downloadImportReport(issues) {
+    var cols = ['severity', 'file', 'sheet', 'row', 'column', 'id', 'message'];
+    var csv = [cols].concat(issues.map(function (it) { return cols.map(function (k) { return it[k]; }); }))
+      .map(function (r) {
+        return r.map(function (v) { v = String(v == null ? '' : v); return /[",\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v; }).join(',');
+      }).join('\n');
+    downloadBlob('import_report.csv', 'text/csv', csv);
+  }
+
+  /**
+   * Inserts or updates cards within the deck, preserving stats and SR where applicable.
+   * Only the upserted cards are written to storage. Alerts a summary when complete.
+   * @param {object[]} newCards - Cards to upsert.
+   * @returns {void}
+   */
+  function upsertCards(newCards) {
+    var map = {}; deck.cards.forEach(function (c) { map[c.id] = c; });
+    var added = 0, updated = 0, touched = [];
+    newCards.forEach(function (nc) {
+      nc = hydrateCard(nc);
+      touched.push(nc);
+      if (map[nc.id]) {
+        nc.stats = map[nc.id].stats || initStats();
+        nc.sr = map[nc.id].sr || initSR();
+        updated++;
+      } else {
+        if (!nc.stats) nc.stats = initStats();
+        if (!nc.sr) nc.sr = initSR();
+        added++;
+      }
+      map[nc.id] = nc;
+    });
+    deck.cards = Object.keys(map).map(function (k) { return map[k]; });
+    buildTopicIndex(deck); persist({ put: touched }, 'Import cards');
+    try { alert('Imported ' + added + ' new, updated ' + updated + '. Total ' + deck.cards.length + '.'); } catch (_e) {}
+  }
+
+  /**
+   * Exports a deck as JSON, including its review log and study presets.
+   * @param {string} [deckId] - Deck to export (defaults to the active deck).
+   * @returns {Promise<void>} Resolves once the download has been triggered.
+   */
+  function exportJSON(deckId) {
+    return loadDeckSnapshot(deckId || deck.id).then(function (snap) {
+      var out = Object.assign({}, snap.deck, { reviewLog: snap.reviewLog, presets: snap.record.presets || [] });
+      downloadJSON(out, deckFileName(snap.deck.name, 'json'));
+    });
+  }
+
+  /**
+   * Builds an XLSX workbook with 'Flashcards', 'MCQ' and 'Cloze' sheets mirroring the import format
+   * (one Cloze row per note).
+   * @param {object[]} cards - Cards to include.
+   * @returns {object} XLSX workbook.
+   */
+  function buildWorkbook(cards) {
+    var fc = cards.filter(function (c) { return c.type === 'flashcard'; }).map(function (c) {
+      return { id: c.id, front: c.front || '', back: c.back || '', topics: (c.topics || []).join(','), explanation: c.explanation || '' };
+    });
+    var mcqCards = cards.filter(function (c) { return c.type === 'mcq'; });
+    // As many choice columns as the longest card needs, and always A-D
+    var width = mcqCards.reduce(function (n, c) { return Math.max(n, (c.choices || []).length); }, 4);
+    var letters = CHOICE_LETTERS.slice(0, Math.min(MAX_CHOICES, width));
+    var mcq = mcqCards.map(function (c) {
+      var row = { id: c.id, question: c.question || '' };
+      letters.forEach(function (L, i) { row['choice' + L] = c.choices?.[i] || ''; });
+      return Object.assign(row, {
+        correct: choiceLetters(correctChoices(c)),
+        scoring: isMultiAnswer(c) ? (c.scoring === 'partial' ? 'partial' : 'all') : '',
+        topics: (c.topics || []).join(','), explanation: c.explanation || '', keepOrder: c.keepOrder ? 'yes' : ''
+      });
+    });
+    var notes = {}, cloze = [];
+    cards.forEach(function (c) {
+      if (c.type !== 'cloze' || notes[c.note]) return;
+      notes[c.note] = true;
+      cloze.push({ id: c.note, text: c.text || '', topics: (c.topics || []).join(','), explanation: c.explanation || '' });
+    });
+    var wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(fc), 'Flashcards');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(mcq), 'MCQ');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(cloze, { header: ['id', 'text', 'topics', 'explanation'] }), 'Cloze');
+    return wb;
+  }
+
+  /**
+   * Exports a deck as an XLSX workbook with 'Flashcards', 'MCQ' and 'Cloze' sheets.
+   * Requires SheetJS to be present on window.XLSX.
+   * @param {string} [deckId] - Deck to export (defaults to the active deck).
+   * @returns {Promise<void>} Resolves once the download has been triggered.
+   */
+  function exportXLSX(deckId) {
+    if (!window.XLSX) { alert('SheetJS not loaded'); return Promise.resolve(); }
+    return loadDeckSnapshot(deckId || deck.id).then(function (snap) {
+      var out = XLSX.write(buildWorkbook(snap.deck.cards), { bookType: 'xlsx', type: 'array' });
+      downloadBlob(deckFileName(snap.deck.name, 'xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', out);
+    });
+  }
+
+  /**
+   * Creates a template workbook suitable for import into CardCue.
+   * @returns {object} XLSX workbook.
+   */
+  function makeTemplateWorkbook() {
+    var wb = XLSX.utils.book_new();
+    var flashRows = [
+      ['id', 'front', 'back', 'topics', 'explanation'],
+      ['F001', 'Sample front', 'Sample back', 'TopicA, TopicB', 'Optional explanation']
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(flashRows), 'Flashcards');
+    var mcqRows = [
+      ['id', 'question', 'choiceA', 'choiceB', 'choiceC', 'choiceD', 'choiceE', 'correct', 'scoring', 'topics', 'explanation', 'keepOrder'],
+      ['Q001', 'Sample MCQ?', 'Answer A', 'Answer B', 'Answer C', 'Answer D', '', 'A', '', 'Topic1, Topic2', 'Optional explanation', ''],
+      ['Q002', 'Select all that apply?', 'Right', 'Wrong', 'Right', 'Wrong', 'Wrong', 'A, C', 'partial', 'Topic1', 'Scoring: all (all-or-nothing) or partial', '']
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(mcqRows), 'MCQ');
+    var clozeRows = [
+      ['id', 'text', 'topics', 'explanation'],
+      ['C001', 'The {{c1::mitral}} valve sits between the left atrium and the {{c2::left ventricle::chamber}}', 'Topic1', 'Each c-number becomes its own card; {{c1::answer::hint}} adds a hint']
+    ];
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(clozeRows), 'Cloze');
+    return wb;
+  }
+
+  // ---------- Stats + spaced repetition ----------
+
+  /**
+   * Applies a graded review to a card's stats and SR record and appends a review-log entry
+   * (no deck persistence).
+   * Any grade other than 'again' counts as correct, except a partly right answer (credit below 1), which is
+   * scheduled by its grade but counts as wrong in the stats and the log.
+   * @param {object} c - Card (mutated).
+   * @param {boolean|number|string} grade - Grade or legacy boolean.
+   * @param {{mode?:string,answer?:string,ms?:number,credit?:number}} [info] - Attempt details for the log;
+   *   `credit` (0-1) is the share of marks a select-all-that-apply answer earned (see scoreMCQ).
+   * @returns {string} The normalised grade.
+   */
+  function applyReview(c, grade, info) {
+    info = info || {};
+    var g = normaliseGrade(grade);
+    var before = (c.sr && c.sr.intervalDays) || 0;
+    var partial = typeof info.credit === 'number' && info.credit < 1;
+    var correct = g !== 'again' && !partial;
+    c.stats.seen += 1;
+    if (correct) { c.stats.correct += 1; c.stats.streak += 1; } else { c.stats.streak = 0; }
+    c.stats.lastSeen = nowISO();
+    c.sr = Scheduler.review(c.sr, g);
+    if (g === 'again') checkLeech(c);
+    logReview(Object.assign({
+      cardId: c.id,
+      mode: info.mode || currentMode(),
+      answer: info.answer != null ? String(info.answer) : g,
+      correct: correct,
+      grade: g,
+      ms: typeof info.ms === 'number' ? Math.max(0, Math.round(info.ms)) : null,
+      ivlBefore: before,
+      ivlAfter: c.sr.intervalDays
+    }, partial ? { credit: Math.round(info.credit * 100) / 100 } : null));
+    return g;
+  }
+
+  /**
+   * Marks a card as a leech once its lapses reach the configured threshold, and applies the leech
+   * action: the "leech" topic is added, or the card is suspended. Each card is handled once
+   * (clearing `state.leech` re-arms it).
+   * @param {object} c - Card that was just failed (mutated).
+   * @returns {boolean} True if the card just became a leech.
+   */
+  function checkLeech(c) {
+    var threshold = Number(__settings.leechThreshold) || 0;
+    if (!threshold || c.state.leech || (c.sr.lapses || 0) < threshold) return false;
+    c.state.leech = true;
+    var suspend = __settings.leechAction === 'suspend';
+    if (suspend) c.state.suspended = true;
+    else if (c.topics.indexOf(LEECH_TOPIC) < 0) { c.topics.push(LEECH_TOPIC); buildTopicIndex(deck); emit('topics:changed', App.topicsList()); }
+    notify('Card ' + c.id + ' is a leech (' + c.sr.lapses + ' lapses)' + (suspend ? ' and was suspended.' : ' and was tagged "' + LEECH_TOPIC + '".') +
+      ' Consider rewriting it.', { type: 'warn', key: 'leech' });
+    return true;
+  }
+
+  /**
+   * Records the result of a study interaction and updates spaced repetition.
+   * @param {string} cardId - Card identifier.
+   * @param {boolean|number|string} grade - 'again'|'hard'|'good'|'easy', 1-4, or a boolean.
+   * @param {{mode?:string,answer?:string,ms?:number}} [info] - Attempt details for the review log.
+   * @returns {void}
+   */
+  function markResult(cardId, grade, info) {
+    var c = deck.cards.find(function (x) { return x.id === cardId; });
+    if (!c) return;
+    applyReview(c, grade, info);
+    persist({ put: [c], cause: 'review' });
+  }
+
+  // ---------- Review log ----------
+
+  var REVIEW_LOG_MAX = 20000; // localStorage backend only: oldest entries are dropped beyond this
+  // An answer counts towards time studied for at most this long (a card left open over lunch is not study time)
+  var ANSWER_MS_CAP = 5 * 60 * 1000;
+
+  /**
+   * Every graded attempt, oldest first. Filled from the store when App.ready resolves.
+   * @type {Array<{id:string,cardId:string,ts:number,mode:string,answer:string,correct:boolean,grade:string,ms:number|null,ivlBefore:number,ivlAfter:number}>}
+   */
+  var reviewLog = [];
+
+  /**
+   * Loads a review log saved in localStorage.
+   * @param {string} key - localStorage key.
+   * @returns {object[]} Log entries.
+   */
+  function loadReviewLog(key) {
+    try {
+      var arr = JSON.parse(localStorage.getItem(key) || '[]');
+      return Array.isArray(arr) ? arr : [];
+    } catch (e) { console.error(e); return []; }
+  }
+
+  /**
+   * Writes the active deck's review log to localStorage, trimming the oldest entries beyond
+   * REVIEW_LOG_MAX. Used by the localStorage backend; throws on quota errors.
+   * @param {string} key - localStorage key.
+   * @returns {void}
+   */
+  function saveReviewLog(key) {
+    if (reviewLog.length > REVIEW_LOG_MAX) reviewLog.splice(0, reviewLog.length - REVIEW_LOG_MAX);
+    localStorage.setItem(key, JSON.stringify(reviewLog));
+  }
+
+  /**
+   * Returns the current study mode from the page ('learn' | 'test').
+   * @returns {string} Mode.
+   */
+  function currentMode() {
+    return (document.body && document.body.dataset.mode) || 'learn';
+  }
+
+  /**
+   * Appends an entry to the review log and persists it.
+   * @param {object} entry - Entry without id/ts.
+   * @returns {object} Stored entry.
+   */
+  function logReview(entry) {
+    var e = Object.assign({ id: uid() + uid(), ts: nowMs(), deckId: deck.id }, entry);
+    reviewLog.push(e);
+    if (Store) trackWrite(Store.addReviews([e]));
+    announceReviews(deck.id, [e]);
+    emit('attempt:recorded', e);
+    return e;
+  }
+
+  /**
+   * Merges entries (e.g. from an import) into the active deck's log, skipping ids already present.
+   * @param {object[]} entries - Log entries.
+   * @returns {number} Number of entries added.
+   */
+  function mergeReviewLog(entries) {
+    var have = new Set(reviewLog.map(function (e) { return e.id; }));
+    var added = [];
+    (entries || []).forEach(function (e) {
+      if (!e || !e.cardId || typeof e.ts !== 'number') return;
+      if (!e.id) e.id = uid() + uid();
+      if (have.has(e.id)) return;
+      e.deckId = deck.id;
+      have.add(e.id); reviewLog.push(e); added.push(e);
+    });
+    if (added.length) {
+      reviewLog.sort(function (a, b) { return a.ts - b.ts; });
+      if (Store) trackWrite(Store.addReviews(added));
+      announceReviews(deck.id, added);
+    }
+    return added.length;
+  }
+
+  /**
+   * Converts a Date, ISO string or ms value to ms.
+   * @param {Date|string|number} v - Time value.
+   * @returns {number} Milliseconds (NaN if invalid).
+   */
+  function toMs(v) {
+    if (typeof v === 'number') return v;
+    if (v instanceof Date) return v.getTime();
+    return new Date(v).getTime();
+  }
+
+  /**
+   * Queries the review log.
+   * @param {object} [opts] - Query options.
+   * @param {string} [opts.cardId] - Restrict to one card.
+   * @param {string[]} [opts.ids] - Restrict to several cards.
+   * @param {Date|string|number} [opts.since] - Inclusive lower bound.
+   * @param {Date|string|number} [opts.until] - Exclusive upper bound.
+   * @param {string} [opts.mode] - 'learn' or 'test'.
+   * @param {boolean} [opts.correct] - Only correct (true) or incorrect (false) attempts.
+   * @param {boolean} [opts.newestFirst] - Reverse chronological order.
+   * @param {number} [opts.limit] - Maximum number of results.
+   * @returns {object[]} Matching entries (copies).
+   */
+  function queryReviewLog(opts) {
+    opts = opts || {};
+    var ids = opts.ids ? new Set(opts.ids) : null;
+    var since = opts.since != null ? toMs(opts.since) : -Infinity;
+    var until = opts.until != null ? toMs(opts.until) : Infinity;
+    var out = reviewLog.filter(function (e) {
+      if (opts.cardId && e.cardId !== opts.cardId) return false;
+      if (ids && !ids.has(e.cardId)) return false;
+      if (opts.mode && e.mode !== opts.mode) return false;
+      if (typeof opts.correct === 'boolean' && e.correct !== opts.correct) return false;
+      return e.ts >= since && e.ts < until;
+    });
+    if (opts.newestFirst) out.reverse();
+    if (opts.limit && out.length > opts.limit) out = out.slice(0, opts.limit);
+    return out.map(function (e) { return Object.assign({}, e); });
+  }
+
+  /**
+   * Aggregates the review log per card.
+   * @param {object} [opts] - Same filters as queryReviewLog.
+   * @returns {Object.<string,{attempts:number,correct:number,avgMs:number|null,lastTs:number}>} Map keyed by card ID.
+   */
+  function reviewStatsByCard(opts) {
+    var out = {};
+    queryReviewLog(Object.assign({}, opts, { limit: 0, newestFirst: false })).forEach(function (e) {
+      var s = out[e.cardId] || (out[e.cardId] = { attempts: 0, correct: 0, avgMs: null, lastTs: 0, _msSum: 0, _msN: 0 });
+      s.attempts++; if (e.correct) s.correct++;
+      if (typeof e.ms === 'number') { s._msSum += e.ms; s._msN++; }
+      s.lastTs = Math.max(s.lastTs, e.ts);
+    });
+    Object.keys(out).forEach(function (k) {
+      var s = out[k];
+      s.avgMs = s._msN ? Math.round(s._msSum / s._msN) : null;
+      delete s._msSum; delete s._msN;
+    });
+    return out;
+  }
+
+  /**
+   * Local calendar day of a timestamp.
+   * @param {number} ts - Milliseconds.
+   * @returns {string} Day as YYYY-MM-DD.
+   */
+  function dayKey(ts) {
+    var d = new Date(ts);
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+  }
+
+  /**
+   * Aggregates review log entries per local day, with daily streaks. The current streak counts back from
+   * today, or from yesterday while nothing has been reviewed today yet.
+   * @param {object[]} [entries] - Log entries (default: the active deck's log).
+   * @returns {{days:Object.<string,{reviews:number,correct:number,ms:number,cards:string[]}>,currentStreak:number,longestStreak:number}}
+   *   Activity keyed by YYYY-MM-DD; `ms` is time studied (each answer capped at ANSWER_MS_CAP).
+   */
+  function reviewActivity(entries) {
+    var days = {};
+    (entries || reviewLog).forEach(function (e) {
+      var k = dayKey(e.ts);
+      var day = days[k] || (days[k] = { reviews: 0, correct: 0, ms: 0, cards: [] });
+      day.reviews += 1;
+      if (e.correct) day.correct += 1;
+      if (typeof e.ms === 'number') day.ms += Math.min(e.ms, ANSWER_MS_CAP);
+      if (day.cards.indexOf(e.cardId) < 0) day.cards.push(e.cardId);
+    });
+
+    var longest = 0, run = 0, prev = null;
+    Object.keys(days).sort().forEach(function (k) {
+      var t = new Date(k + 'T00:00:00').getTime();
+      run = prev !== null && Math.round((t - prev) / 864e5) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      prev = t;
+    });
+
+    var current = 0, cursor = new Date();
+    if (!days[dayKey(cursor.getTime())]) cursor.setDate(cursor.getDate() - 1);
+    while (days[dayKey(cursor.getTime())]) { current += 1; cursor.setDate(cursor.getDate() - 1); }
+    return { days: days, currentStreak: current, longestStreak: longest };
+  }
+
+  // ---------- Deck library ----------
+
+  /**
+   * Sorts cards by a stored ID order; unknown IDs go last.
+   * @param {object[]} cards - Cards.
+   * @param {string[]} order - Card IDs in display order.
+   * @returns {object[]} The same array, sorted.
+   */
+  function sortByOrder(cards, order) {
+    var pos = {};
+    (order || []).forEach(function (id, i) { pos[id] = i; });
+    return cards.sort(function (a, b) {
+      return (pos[a.id] ?? Number.MAX_SAFE_INTEGER) - (pos[b.id] ?? Number.MAX_SAFE_INTEGER);
+    });
+  }
+
+  /**
+   * Loads a deck (cards + review log) without activating it. The active deck is served from memory.
+   * @param {string} id - Deck ID.
+   * @returns {Promise<{deck:object,reviewLog:object[],record:object}>} Snapshot (safe to mutate).
+   */
+  function loadDeckSnapshot(id) {
+    var rec = findDeckRecord(id);
+    if (!rec) return Promise.reject(new Error('Unknown deck: ' + id));
+    if (id === deck.id) {
+      return Promise.resolve({ deck: App.getDeck(), reviewLog: reviewLog.slice(), record: Object.assign({}, rec) });
+    }
+    return Store.loadDeck(id).then(function (data) {
+      var d = Object.assign(newDeck(id, rec.name), deckHeader(rec), { cards: sortByOrder(data.cards.map(hydrateCard), data.order) });
+      buildTopicIndex(d);
+      return { deck: d, reviewLog: data.reviews || [], record: Object.assign({}, rec) };
+    });
+  }
+
+  /**
+   * Loads a deck from the store and makes it the active deck on this page.
+   * Pending writes to the previous deck are flushed first.
+   * @param {string} id - Deck ID.
+   * @returns {Promise<void>} Resolves once the deck is in memory and views are refreshed.
+   */
+  function activateDeck(id) {
+    var rec = findDeckRecord(id);
+    if (!rec) return Promise.reject(new Error('Unknown deck: ' + id));
+    return lastWrite.then(function () { return Store.loadDeck(id); }).then(function (data) {
+      deck = Object.assign(newDeck(id, rec.name), deckHeader(rec), { cards: sortByOrder(data.cards.map(hydrateCard), data.order) });
+      buildTopicIndex(deck);
+      window.cards = deck.cards;
+      lastOrderKey = deck.cards.map(function (c) { return c.id; }).join('\n');
+      resetHistory();
+      reviewLog = data.reviews || [];
+      App.deckMeta = rec.deckMeta || null;
+      try { localStorage.setItem(KEY_ACTIVE, id); } catch (_) {}
+      safe(renderDeckPickers);
+      emit('deck:loaded', App.deckMeta);
+    });
+  }
+
+  /**
+   * Creates an empty deck in the library.
+   * @param {string} name - Deck name.
+   * @returns {Promise<object>} The new deck record.
+   */
+  function createDeck(name) {
+    var rec = newDeckRecord('d-' + uid(), String(name || '').trim() || 'Untitled deck');
+    deckLibrary.push(rec);
+    safe(renderDeckPickers);
+    var done = trackWrite(Store.putDeck(rec)).then(function () { return rec; });
+    announce({ kind: 'library' });
+    return done;
+  }
+
+  /**
+   * Renames a deck.
+   * @param {string} id - Deck ID.
+   * @param {string} name - New name.
+   * @returns {Promise<void>} Resolves when saved.
+   */
+  function renameDeck(id, name) {
+    var rec = findDeckRecord(id);
+    name = String(name || '').trim();
+    if (!rec || !name) return Promise.resolve();
+    rec.name = name;
+    if (deck.id === id) deck.name = name;
+    safe(renderDeckPickers);
+    var done = trackWrite(Store.putDeck(rec));
+    announce({ kind: 'library' });
+    return done;
+  }
+
+  /**
+   * Copies a deck's cards (with their stats and SR) and its presets into a new deck. The review log is not copied.
+   * @param {string} id - Source deck ID.
+   * @param {string} [name] - Name for the copy (defaults to "<name> (copy)").
+   * @returns {Promise<object>} The new deck record.
+   */
+  function duplicateDeck(id, name) {
+    return loadDeckSnapshot(id).then(function (snap) {
+      var rec = Object.assign(newDeckRecord('d-' + uid(), String(name || '').trim() || snap.record.name + ' (copy)'), {
+        deckMeta: snap.record.deckMeta || null,
+        cardCount: snap.deck.cards.length,
+        presets: JSON.parse(JSON.stringify(snap.record.presets || []))
+      });
+      deckLibrary.push(rec);
+      safe(renderDeckPickers);
+      var done = trackWrite(Store.writeDeck(rec.id, {
+        record: rec, replace: true, put: snap.deck.cards,
+        order: snap.deck.cards.map(function (c) { return c.id; })
+      })).then(function () { return rec; });
+      announce({ kind: 'library' });
+      return done;
+    });
+  }
+
+  /**
+   * Deletes a deck with its cards, review log and sessions. Deleting the active deck activates
+   * another one; deleting the last deck leaves a new empty one.
+   * @param {string} id - Deck ID.
+   * @returns {Promise<void>} Resolves when done.
+   */
+  function deleteDeck(id) {
+    if (!findDeckRecord(id)) return Promise.resolve();
+    deckLibrary = deckLibrary.filter(function (r) { return r.id !== id; });
+    var next = Promise.resolve();
+    if (!deckLibrary.length) {
+      var rec = newDeckRecord('d-' + uid(), 'My deck');
+      deckLibrary.push(rec);
+      next = trackWrite(Store.putDeck(rec));
+    }
+    if (Store.putMeta) trackWrite(Store.putMeta(SESSION_META_PREFIX + id, null));
+    return next.then(function () { return trackWrite(Store.deleteDeck(id)); }).then(function () {
+      announce({ kind: 'library' });
+      if (deck.id === id) return activateDeck(deckLibrary[0].id);
+      safe(renderDeckPickers);
+    });
+  }
+
+  /**
+   * Loads every deck (the active one from memory), e.g. for aggregate metrics.
+   * @returns {Promise<Array<{deck:object,reviewLog:object[],record:object}>>} Snapshots in library order.
+   */
+  function loadAllDecks() {
+    return Promise.all(deckLibrary.map(function (r) { return loadDeckSnapshot(r.id); }));
+  }
+
+  /**
+   * Saves pending writes, remembers `id` as the active deck and reloads the page,
+   * so page-level state (filters, viewers, charts) is rebuilt for that deck.
+   * @param {string} id - Deck ID.
+   * @returns {Promise<void>} Settles just before reloading.
+   */
+  function reloadWithDeck(id) {
+    return lastWrite.then(function () {
+      try { localStorage.setItem(KEY_ACTIVE, id); } catch (_) {}
+      location.reload();
+    });
+  }
+
+  /**
+   * Fills the header deck picker and the Import/Export target select from the library.
+   * @returns {void}
+   */
+  function renderDeckPickers() {
+    var picker = document.getElementById('deck-picker');
+    if (picker) {
+      picker.innerHTML = deckLibrary.map(function (r) {
+        return '<option value="' + escapeHTML(r.id) + '">' + escapeHTML(r.name) + '</option>';
+      }).join('');
+      picker.value = deck.id;
+    }
+    var io = document.getElementById('io-deck');
+    if (io) {
+      var cur = io.value;
+      io.innerHTML = '<option value="">Active deck</option>' +
+        deckLibrary.filter(function (r) { return r.id !== deck.id; }).map(function (r) {
+          return '<option value="' + escapeHTML(r.id) + '">' + escapeHTML(r.name) + '</option>';
+        }).join('') +
+        '<option value="__new__">New deck (import only)</option>';
+      io.value = Array.prototype.some.call(io.options, function (o) { return o.value === cur; }) ? cur : '';
+    }
+  }
+
+  /**
+   * Builds a file name for exporting a deck, e.g. "cardcue_pharmacology.json".
+   * @param {string} name - Deck name.
+   * @param {string} ext - File extension without the dot.
+   * @returns {string} File name.
+   */
+  function deckFileName(name, ext) {
+    var slug = String(name || 'deck').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return 'cardcue_' + (slug || 'deck') + '.' + ext;
+  }
+
+  /**
+   * Opens a modal dialog. The dialog removes itself from the DOM when closed.
+   * @param {string} title - Dialog title.
+   * @param {string} [className] - Extra class for sizing.
+   * @param {Function} [onClose] - Called once when the dialog closes (by any means).
+   * @returns {{dialog:HTMLDialogElement,body:HTMLElement,footer:HTMLElement,close:Function}} Parts.
+   */
+  function openModal(title, className, onClose) {
+    var dlg = document.createElement('dialog');
+    dlg.className = 'modal' + (className ? ' ' + className : '');
+    dlg.innerHTML =
+      '<div class="modal-head"><h2 class="panel-title"></h2><button type="button" class="btn small ghost modal-x" title="Close">×</button></div>' +
+      '<div class="modal-body"></div><div class="modal-foot"></div>';
+    dlg.querySelector('.panel-title').textContent = title;
+    document.body.appendChild(dlg);
+    var close = function () {
+      if (!dlg.isConnected) return;
+      if (dlg.open && typeof dlg.close === 'function') dlg.close();
+      dlg.remove();
+      if (onClose) onClose();
+    };
+    dlg.querySelector('.modal-x').addEventListener('click', close);
+    dlg.addEventListener('cancel', function (e) { e.preventDefault(); close(); });
+    if (typeof dlg.showModal === 'function') dlg.showModal(); else dlg.setAttribute('open', '');
+    return { dialog: dlg, body: dlg.querySelector('.modal-body'), footer: dlg.querySelector('.modal-foot'), close: close };
+  }
+
+  /**
+   * Opens the deck library dialog: switch, create, rename, duplicate and delete decks.
+   * @returns {void}
+   */
+  function openDeckLibrary() {
+    var m = openModal('Decks');
+
+    function render() {
+      m.body.innerHTML = '<div class="table-wrap"><table class="table"><thead><tr>' +
+        '<th>Deck</th><th>Cards</th><th>Sessions</th><th>Updated</th><th></th></tr></thead><tbody>' +
+        deckLibrary.map(function (r) {
+          var active = r.id === deck.id;
+          return '<tr data-id="' + escapeHTML(r.id) + '">' +
+            '<td><strong>' + escapeHTML(r.name) + '</strong>' + (active ? ' <span class="badge">active</span>' : '') + '</td>' +
+            '<td>' + (active ? deck.cards.length : (r.cardCount || 0)) + '</td>' +
+            '<td>' + (r.sessionCount || 0) + '</td>' +
+            '<td>' + escapeHTML(r.updatedAt ? new Date(r.updatedAt).toLocaleDateString() : '') + '</td>' +
+            '<td class="row gap-2 wrap">' +
+            (active ? '' : '<button type="button" class="btn small" data-act="open">Open</button>') +
+            '<button type="button" class="btn small" data-act="rename">Rename</button>' +
+            '<button type="button" class="btn small" data-act="duplicate">Duplicate</button>' +
+            '<button type="button" class="btn small" data-act="delete">Delete</button>' +
+            '</td></tr>';
+        }).join('') + '</tbody></table></div>';
+    }
+
+    m.body.addEventListener('click', function (e) {
+      var btn = e.target.closest('button[data-act]'); if (!btn) return;
+      var id = btn.closest('tr').getAttribute('data-id');
+      var rec = findDeckRecord(id); if (!rec) return;
+      var act = btn.getAttribute('data-act');
+      if (act === 'open') { m.close(); reloadWithDeck(id); return; }
+      if (act === 'rename') {
+        var name = prompt('Rename deck', rec.name);
+        if (name) renameDeck(id, name).then(render);
+      } else if (act === 'duplicate') {
+        duplicateDeck(id, prompt('Name for the copy', rec.name + ' (copy)') || '').then(render);
+      } else if (act === 'delete') {
+        if (!confirm('Delete deck "' + rec.name + '" with all its cards and progress? This cannot be undone.')) return;
+        var wasActive = id === deck.id;
+        deleteDeck(id).then(function () { if (wasActive) reloadWithDeck(deck.id); else render(); });
+      }
+    });
+
+    var add = document.createElement('button');
+    add.type = 'button'; add.className = 'btn primary'; add.textContent = 'New deck';
+    add.addEventListener('click', function () {
+      var name = prompt('Name for the new deck', '');
+      if (name == null) return;
+      createDeck(name).then(function (rec) {
+        if (confirm('Open "' + rec.name + '" now?')) { m.close(); reloadWithDeck(rec.id); } else render();
+      });
+    });
+    m.footer.appendChild(add);
+    render();
+  }
+
+  /**
+   * Binds the header deck picker, the Decks button and the Import/Export target select.
+   * @returns {void}
+   */
+  function initDeckBindings() {
+    var picker = document.getElementById('deck-picker');
+    picker?.addEventListener('change', function () {
+      if (picker.value && picker.value !== deck.id) reloadWithDeck(picker.value);
+    });
+    document.getElementById('btn-decks')?.addEventListener('click', function () { App.ready.then(openDeckLibrary); });
+    App.ready.then(renderDeckPickers);
+  }
+
+  /**
+   * Activates the deck an import should go into.
+   * @param {string} target - '' (active deck), '__new__' or a deck ID.
+   * @param {string} fileLabel - Imported file name(s), used to name a new deck.
+   * @returns {Promise<boolean>} True if another deck became active.
+   */
+  function prepareImportTarget(target, fileLabel) {
+    if (!target || target === deck.id) return Promise.resolve(false);
+    var ready = target === '__new__'
+      ? createDeck(defaultDeckName({ name: fileLabel })).then(function (rec) { return rec.id; })
+      : Promise.resolve(target);
+    return ready.then(activateDeck).then(function () { return true; });
+  }
+
+  /**
+   * Returns the deck chosen in the Import/Export target select ('' = active deck, '__new__' = new deck).
+   * @returns {string} Target.
+   */
+  function ioTarget() {
+    var v = document.getElementById('io-deck')?.value || '';
+    return v === deck.id ? '' : v;
+  }
+
+  /**
+   * Returns the deck Export should use: the chosen deck, or the active one for "New deck".
+   * @returns {string} Deck ID, or '' for the active deck.
+   */
+  function exportTarget() {
+    var t = ioTarget();
+    return t === '__new__' ? '' : t;
+  }
+
+  // ---------- Session composer ----------
+
+  // Sessions in "Balanced mix" order are composed rather than cut from the filtered cards: every card gets a weight
+  // (higher for low accuracy, overdue and recently missed cards), cards are drawn by weight with a seeded generator,
+  // new cards are capped, MCQs and flashcards are balanced, and cards of one topic are spread out.
+
+  /** Days within which a missed card counts as recently failed. */
+  var COMPOSE_RECENT_DAYS = 7;
+
+  /**
+   * The cards whose latest attempt was a miss within COMPOSE_RECENT_DAYS, with the time of that miss.
+   * @param {number} now - Current time.
+   * @returns {Object<string, number>} Card ID -> time of the miss.
+   */
+  function recentMisses(now) {
+    var last = {}, since = now - COMPOSE_RECENT_DAYS * DAY_MS, out = {};
+    reviewLog.forEach(function (e) { if (e.ts >= since) last[e.cardId] = e; });
+    Object.keys(last).forEach(function (id) { if (!last[id].correct) out[id] = last[id].ts; });
+    return out;
+  }
+
+  /**
+   * Weighs a card for the composer and says why.
+   * @param {object} c - Card.
+   * @param {number} now - Current time.
+   * @param {Object<string, number>} missed - Recent misses (see recentMisses).
+   * @returns {{card:object,weight:number,isNew:boolean,reasons:string[]}} Weighted card.
+   */
+  function weighCard(c, now, missed) {
+    var seen = c.stats.seen, weight = 1, reasons = [];
+    if (!seen) return { card: c, weight: weight, isNew: true, reasons: ['new card'] };
+    var acc = c.stats.correct / seen;
+    if (acc < 0.8) {
+      weight += 3 * (1 - acc);
+      reasons.push('accuracy ' + Math.round(100 * acc) + '%');
+    }
+    var due = c.sr && c.sr.nextDue;
+    if (due && due <= now) {
+      var late = Math.floor((now - due) / DAY_MS);
+      weight += 1 + Math.min(2, late / 7);
+      reasons.push(late ? 'overdue ' + late + (late === 1 ? ' day' : ' days') : 'due now');
+    }
+    if (missed[c.id]) {
+      var ago = Math.floor((startOfDay(now) - startOfDay(missed[c.id])) / DAY_MS);
+      weight += 3;
+      reasons.push(ago ? 'missed ' + (ago === 1 ? 'yesterday' : ago + ' days ago') : 'missed today');
+    }
+    if (!reasons.length) reasons.push('fills the session');
+    return { card: c, weight: weight, isNew: false, reasons: reasons };
+  }
+
+  /**
+   * Orders picked cards so that cards sharing a first topic are spread out: each turn takes the next card of the
+   * topic with the most cards left, other than the topic just used.
+   * @param {object[]} picked - Weighted cards in the order they were drawn.
+   * @returns {object[]} Same cards, interleaved.
+   */
+  function interleaveByTopic(picked) {
+    var groups = [], byTopic = {};
+    picked.forEach(function (p) {
+      var t = (p.card.topics && p.card.topics[0]) || '';
+      if (!byTopic[t]) groups.push(byTopic[t] = []);
+      byTopic[t].push(p);
+    });
+    var out = [], last = null;
+    while (out.length < picked.length) {
+      var best = null;
+      groups.forEach(function (g) {
+        if (g.length && g !== last && (!best || g.length > best.length)) best = g;
+      });
+      best = best || last;
+      out.push(best.shift());
+      last = best;
+    }
+    return out;
+  }
+
+  /**
+   * Composes a session from candidate cards. Cards are drawn by weight (weighted sampling without replacement),
+   * so the same seed and cards give the same session.
+   * @param {object[]} cards - Candidate cards (already filtered).
+   * @param {object} [opts] - Options.
+   * @param {number} [opts.count=20] - Session size.
+   * @param {number} [opts.maxNew] - New (unseen) cards at most (default: the newCardsPerSession setting).
+   * @param {number} [opts.seed] - Random seed (default: a random one, returned).
+   * @returns {{pool:object[],reasons:Object<string, string[]>,seed:number}} Cards in session order, why each was
+   *   picked (by card ID) and the seed used.
+   */
+  function composeSession(cards, opts) {
+    opts = opts || {};
+    var count = Math.max(1, parseInt(opts.count, 10) || 20);
+    var maxNew = opts.maxNew != null ? Math.max(0, parseInt(opts.maxNew, 10) || 0)
+      : Math.max(0, Number(__settings.newCardsPerSession) || 0);
+    var seed = opts.seed != null ? Number(opts.seed) >>> 0 : Math.floor(Math.random() * 4294967296);
+    var rand = seededRandom(seed), now = nowMs(), missed = recentMisses(now);
+
+    var ranked = cards.map(function (c) {
+      var w = weighCard(c, now, missed);
+      w.key = Math.pow(rand(), 1 / w.weight);
+      return w;
+    }).sort(function (a, b) { return b.key - a.key; });
+
+    // Half MCQs and half recall cards (flashcards and cloze), unless one kind runs short
+    var kind = function (w) { return w.card.type === 'mcq' ? 'mcq' : 'recall'; };
+    var available = { mcq: 0, recall: 0 };
+    ranked.forEach(function (w) { if (!w.isNew || maxNew) available[kind(w)] += 1; });
+    var mcq = Math.max(count - available.recall, Math.min(available.mcq, Math.round(count / 2)));
+    var quota = { mcq: mcq, recall: count - mcq };
+
+    var picked = [], taken = new Set(), newCount = 0;
+    var draw = function (byQuota) {
+      ranked.forEach(function (w) {
+        if (picked.length >= count || taken.has(w.card.id)) return;
+        if (w.isNew && newCount >= maxNew) return;
+        if (byQuota && !(quota[kind(w)] > 0)) return;
+        if (byQuota) quota[kind(w)] -= 1;
+        if (w.isNew) newCount += 1;
+        taken.add(w.card.id);
+        picked.push(w);
+      });
+    };
+    draw(true);
+    draw(false);
+
+    var reasons = {};
+    picked.forEach(function (w) { reasons[w.card.id] = w.reasons; });
+    return { pool: interleaveByTopic(picked).map(function (w) { return w.card; }), reasons: reasons, seed: seed };
+  }
+
+  // ---------- Study presets ----------
+
+  /** Orders a preset can put its cards in: a balanced mix (see composeSession), deck order, shuffled, or soonest due first. */
+  var PRESET_ORDERS = ['mix', 'deck', 'shuffle', 'due'];
+
+  /** Filters the built-in Cram and Daily test plans stand for. */
+  var PLAN_FILTERS = {
+    cram: { wrongOnly: true, dueOnly: false, order: 'shuffle' },
+    daily: { wrongOnly: false, dueOnly: true, order: 'deck' }
+  };
+
+  /**
+   * Normalises a study preset (saved here, synced from another tab or imported).
+   * A `plan` (as passed to App.startSessionFromFilters) fills in the filters or mode it stands for.
+   * @param {object} p - Raw preset.
+   * @returns {{id:string,name:string,topics:string[],topicMode:'any'|'all',excludeTopics:string[],type:string,query:string,
+   *   wrongOnly:boolean,dueOnly:boolean,order:string,count:number,mode:'session'|'exam',minutes:number,updatedAt:number}|null}
+   *   Preset, or null without a name.
+   */
+  function normalisePreset(p) {
+    if (!p || typeof p !== 'object') return null;
+    var name = String(p.name || '').trim();
+    if (!name) return null;
+    if (PLAN_FILTERS[p.plan]) p = Object.assign({}, p, PLAN_FILTERS[p.plan]);
+    var topics = normaliseTopicSelection({ topics: p.topics, mode: p.topicMode, exclude: p.excludeTopics });
+    return {
+      id: p.id ? String(p.id) : 'p-' + uid(),
+      name: name,
+      topics: topics.topics,
+      topicMode: topics.mode,
+      excludeTopics: topics.exclude,
+      type: CARD_TYPES.indexOf(p.type) >= 0 ? p.type : '',
+      query: String(p.query || '').trim(),
+      wrongOnly: !!p.wrongOnly,
+      dueOnly: !!p.dueOnly,
+      order: PRESET_ORDERS.indexOf(p.order) >= 0 ? p.order : 'deck',
+      count: Math.max(1, parseInt(p.count, 10) || 20),
+      mode: p.mode === 'exam' || p.plan === 'exam' ? 'exam' : 'session',
+      minutes: Math.max(1, Number(p.minutes) || 30),
+      updatedAt: Number(p.updatedAt) || nowMs()
+    };
+  }
+
+  /**
+   * The active deck's presets (copies), in the order they were created.
+   * @returns {object[]} Presets.
+   */
+  function listPresets() {
+    return JSON.parse(JSON.stringify(activeRecord().presets || []));
+  }
+
+  /**
+   * Stores the active deck's presets, tells other tabs and emits presets:changed.
+   * @param {object[]} list - Presets.
+   * @returns {Promise<void>} Resolves when saved.
+   */
+  function writePresets(list) {
+    var rec = activeRecord();
+    rec.presets = list;
+    var done = trackWrite(Store.putDeck(rec));
+    announce({ kind: 'library' });
+    emit('presets:changed', listPresets());
+    return done;
+  }
+
+  /**
+   * Finds a preset by ID, or else by name (ignoring case).
+   * @param {object[]} list - Presets.
+   * @param {{id?:string,name?:string}} p - What to look for.
+   * @returns {number} Index, or -1.
    */
-  function parseTopicsCell(s) {
-    if (!s) return [];
-    return String(s).split(/[;,]/).map(function (t) { return t.trim(); }).filter(Boolean);
+  function presetIndex(list, p) {
+    var name = String(p.name || '').trim().toLowerCase();
+    for (var i = 0; i < list.length; i++) if (p.id && list[i].id === p.id) return i;
+    for (var j = 0; j < list.length; j++) if (name && list[j].name.toLowerCase() === name) return j;
+    return -1;
   }
 
   /**
-   * Extracts cards from an XLSX workbook.
-   * Requires a 'Flashcards' sheet and/or an 'MCQ' sheet.
-   *
-   * @param {object} wb - XLSX workbook instance.
-   * @returns {object[]} Array of hydrated card objects.
+   * Saves a preset for the active deck. A preset with the same ID, or else the same name, is replaced.
+   * @param {object} p - Preset (see normalisePreset).
+   * @returns {object} The saved preset.
    */
-  function parseCardsFromXLSX(wb) {
-    var out = [];
+  function savePreset(p) {
+    var preset = normalisePreset(p);
+    if (!preset) throw new Error('A preset needs a name.');
+    preset.updatedAt = nowMs();
+    var list = activeRecord().presets || [];
+    var i = presetIndex(list, p);
+    if (i >= 0) {
+      // Saving over a preset with the same name keeps that preset's ID
+      preset.id = list[i].id;
+      list = list.slice(0, i).concat([preset], list.slice(i + 1));
+    } else {
+      list = list.concat([preset]);
+    }
+    writePresets(list);
+    return JSON.parse(JSON.stringify(preset));
+  }
 
-    function findSheet(name) {
-      var keys = wb.SheetNames || [];
-      for (var i = 0; i < keys.length; i++) {
-        if (String(keys[i]).toLowerCase() === name.toLowerCase()) return wb.Sheets[keys[i]];
+  /**
+   * Deletes a preset from the active deck.
+   * @param {string} id - Preset ID.
+   * @returns {boolean} True if it existed.
+   */
+  function deletePreset(id) {
+    var list = activeRecord().presets || [];
+    var next = list.filter(function (p) { return p.id !== id; });
+    if (next.length === list.length) return false;
+    writePresets(next);
+    return true;
+  }
+
+  /**
+   * Adds imported presets to the active deck; one with the name of an existing preset replaces it.
+   * @param {object[]} presets - Raw presets.
+   * @returns {number} Presets added or replaced.
+   */
+  function mergePresets(presets) {
+    var list = (activeRecord().presets || []).slice(), n = 0;
+    (presets || []).forEach(function (raw) {
+      var p = normalisePreset(raw);
+      if (!p) return;
+      var i = presetIndex(list, { name: p.name });
+      if (i >= 0) { p.id = list[i].id; list[i] = p; } else {
+        if (list.some(function (x) { return x.id === p.id; })) p.id = 'p-' + uid();
+        list.push(p);
       }
-      return null;
-    }
+      n++;
+    });
+    if (n) writePresets(list);
+    return n;
+  }
 
-    var wsF = findSheet('Flashcards');
-    if (wsF) {
-      var rowsF = XLSX.utils.sheet_to_json(wsF, { defval: '' });
-      rowsF.forEach(function (r) {
-        var front = r.front || r.Front || r.FRONT || '';
-        var back = r.back || r.Back || r.BACK || '';
-        var topics = r.topics || r.Topics || r.TOPICS || '';
-        var explanation = r.explanation || r.Explanation || r.EXPLANATION || '';
-        if (front || back) {
-          out.push(hydrateCard({
-            id: r.id || r.ID || uid(),
-            type: 'flashcard',
-            front: String(front),
-            back: String(back),
-            explanation: String(explanation || ''),
-            topics: parseTopicsCell(topics)
-          }));
+  /**
+   * Turns a preset into options for App.startSessionFromFilters.
+   * @param {object} p - Preset.
+   * @returns {object} Options.
+   */
+  function presetOptions(p) {
+    return {
+      plan: p.mode === 'exam' ? 'exam' : '', label: p.name, topics: p.topics.length ? p.topics.slice() : null,
+      topicMode: p.topicMode, excludeTopics: p.excludeTopics.slice(), type: p.type, query: p.query,
+      wrongOnly: p.wrongOnly, dueOnly: p.dueOnly, order: p.order, shuffle: p.order === 'shuffle', count: p.count, minutes: p.minutes
+    };
+  }
+
+  /**
+   * Starts a session (or an exam) from a saved preset.
+   * @param {string} id - Preset ID.
+   * @returns {boolean} False if there is no such preset.
+   */
+  function startPreset(id) {
+    var p = (activeRecord().presets || []).filter(function (x) { return x.id === id; })[0];
+    if (!p) return false;
+    App.startSessionFromFilters(presetOptions(normalisePreset(p)));
+    return true;
+  }
+
+  // ---------- Cross-tab sync ----------
+
+  // Every write is announced to the app's other open pages, which merge the written cards into their
+  // in-memory deck. A page holding an old copy of a card therefore never writes it back over a newer edit.
+
+  /** @type {{postMessage:Function}|null} Channel to the app's other pages; opened at boot. */
+  var syncChannel = null;
+
+  /**
+   * Opens the cross-tab channel: a BroadcastChannel, or `storage` events where that is missing.
+   * Also reloads settings changed in another tab.
+   * @returns {void}
+   */
+  function openSync() {
+    if (syncChannel) return;
+    var broadcast = typeof BroadcastChannel === 'function';
+    if (broadcast) {
+      syncChannel = new BroadcastChannel(KEY_SYNC);
+      syncChannel.onmessage = function (e) { receiveSync(e.data); };
+    } else {
+      syncChannel = {
+        postMessage: function (msg) {
+          localStorage.setItem(KEY_SYNC, JSON.stringify(msg));
+          localStorage.removeItem(KEY_SYNC);
         }
-      });
+      };
     }
+    window.addEventListener('storage', function (e) {
+      if (e.key === SETTINGS_KEY) syncSettings();
+      else if (e.key === KEY_SYNC && e.newValue && !broadcast) {
+        try { receiveSync(JSON.parse(e.newValue)); } catch (err) { console.error('Sync message failed:', err); }
+      }
+    });
+  }
 
-    var wsQ = findSheet('MCQ');
-    if (wsQ) {
-      var rowsQ = XLSX.utils.sheet_to_json(wsQ, { defval: '' });
-      rowsQ.forEach(function (r) {
-        var q = r.question || r.Question || r.QUESTION || '';
-        var ca = r.choiceA || r.choicea || r.ChoiceA || r.CHOICEA || '';
-        var cb = r.choiceB || r.choiceb || r.ChoiceB || r.CHOICEB || '';
-        var cc = r.choiceC || r.choicec || r.ChoiceC || r.CHOICEC || '';
-        var cd = r.choiceD || r.choiced || r.ChoiceD || r.CHOICED || '';
-        var corr = r.correct || r.Correct || r.CORRECT || 'A';
-        var topics = r.topics || r.Topics || r.TOPICS || '';
-        var explanation = r.explanation || r.Explanation || r.EXPLANATION || '';
-        if (q || ca || cb || cc || cd) {
-          out.push(hydrateCard({
-            id: r.id || r.ID || uid(),
-            type: 'mcq',
-            question: String(q),
-            choices: [String(ca), String(cb), String(cc), String(cd)],
-            answer: String(corr).trim().toUpperCase().charAt(0) || 'A',
-            correct: ({ A: 0, B: 1, C: 2, D: 3 }[String(corr).trim().toUpperCase()] ?? 0),
-            explanation: String(explanation || ''),
-            topics: parseTopicsCell(topics)
-          }));
-        }
+  /**
+   * Sends a message to the other pages once every write issued so far has settled,
+   * so receivers that reload from storage see the new data.
+   * @param {object} msg - Message (structured-cloneable).
+   * @returns {void}
+   */
+  function announce(msg) {
+    if (!syncChannel) return;
+    lastWrite.then(function () {
+      try { syncChannel.postMessage(msg); } catch (e) { console.error('Sync message failed:', e); }
+    });
+  }
+
+  /**
+   * Announces cards written to the active deck. Cards are sent as JSON so later in-memory edits don't leak in.
+   * @param {object[]} put - Written cards.
+   * @param {string[]} del - Deleted card IDs.
+   * @param {boolean} replace - True for a full rewrite (cards not in `put` are gone).
+   * @returns {void}
+   */
+  function announceCards(put, del, replace) {
+    if (!syncChannel) return;
+    announce({
+      kind: 'cards', deckId: deck.id, record: Object.assign({}, activeRecord()),
+      put: put.map(function (c) { return JSON.stringify(c); }), del: del, replace: replace,
+      order: deck.cards.map(function (c) { return c.id; })
+    });
+  }
+
+  /**
+   * Announces review log changes: the added entries, or (without `added`) that the log must be reloaded.
+   * @param {string} deckId - Deck whose log changed.
+   * @param {object[]} [added] - New entries.
+   * @returns {void}
+   */
+  function announceReviews(deckId, added) {
+    if (!syncChannel) return;
+    announce({ kind: 'reviews', deckId: deckId, add: added ? JSON.parse(JSON.stringify(added)) : null });
+  }
+
+  /**
+   * Handles a message from another page.
+   * @param {{kind:string,deckId?:string}} msg - Message.
+   * @returns {void}
+   */
+  function receiveSync(msg) {
+    if (!msg || !Store) return;
+    if (msg.kind === 'library') { reloadLibrary(); return; }
+    if (msg.kind === 'session') { emit('session:finished', Object.assign({ deckId: msg.deckId, remote: true }, msg.summary)); return; }
+    if (msg.kind === 'cards') {
+      if (msg.record) adoptRecord(msg.record);
+      if (msg.deckId !== deck.id) return;
+      if (msg.reload) {
+        Store.loadDeck(deck.id).then(function (data) { applyRemoteCards(data.cards, [], data.order, true); });
+      } else {
+        applyRemoteCards(msg.put.map(function (s) { return JSON.parse(s); }), msg.del || [], msg.order, msg.replace);
+      }
+      return;
+    }
+    if (msg.kind === 'reviews' && msg.deckId === deck.id) {
+      if (!msg.add) {
+        Store.loadDeck(deck.id).then(function (data) { reviewLog = data.reviews || []; });
+        return;
+      }
+      var have = new Set(reviewLog.map(function (e) { return e.id; }));
+      var added = msg.add.filter(function (e) { return !have.has(e.id); });
+      reviewLog = reviewLog.concat(added).sort(function (a, b) { return a.ts - b.ts; });
+      added.forEach(function (e) { emit('attempt:recorded', e); });
+    }
+  }
+
+  /**
+   * Merges cards written by another page into the active deck. Existing card objects are updated in place,
+   * so session pools and viewers holding them see the new content.
+   * @param {object[]} cards - Written cards.
+   * @param {string[]} del - Deleted card IDs.
+   * @param {string[]} [order] - Card order after the write.
+   * @param {boolean} [replace] - Drop every card not in `cards`.
+   * @returns {void}
+   */
+  function applyRemoteCards(cards, del, order, replace) {
+    var byId = {}, incoming = {};
+    deck.cards.forEach(function (c) { byId[c.id] = c; });
+    var put = cards.map(function (raw) {
+      var c = hydrateCard(raw), cur = byId[c.id];
+      incoming[c.id] = true;
+      if (cur) {
+        Object.keys(cur).forEach(function (k) { delete cur[k]; });
+        c = Object.assign(cur, c);
+      } else {
+        deck.cards.push(c);
+      }
+      shadow[c.id] = JSON.stringify(c);
+      return c;
+    });
+    var gone = replace
+      ? deck.cards.filter(function (c) { return !incoming[c.id]; }).map(function (c) { return c.id; })
+      : del.filter(function (id) { return byId[id]; });
+    if (gone.length) {
+      var goneSet = new Set(gone);
+      deck.cards = deck.cards.filter(function (c) { return !goneSet.has(c.id); });
+      gone.forEach(function (id) { delete shadow[id]; });
+    }
+    if (order) sortByOrder(deck.cards, order);
+    shadowOrder = deck.cards.map(function (c) { return c.id; });
+    lastOrderKey = shadowOrder.join('\n');
+    buildTopicIndex(deck);
+    window.cards = deck.cards;
+    emitDeckChanged(put, gone, 'sync', null);
+    emit('topics:changed', App.topicsList());
+  }
+
+  /**
+   * Replaces a library record with the copy from another page, keeping the object identity.
+   * Updates the active deck's name and meta when it is the active deck's record.
+   * @param {object} rec - Record as stored.
+   * @returns {object} The local record.
+   */
+  function adoptRecord(rec) {
+    var cur = findDeckRecord(rec.id);
+    if (!cur) { deckLibrary.push(rec); return rec; }
+    var metaChanged = JSON.stringify(cur.deckMeta || null) !== JSON.stringify(rec.deckMeta || null);
+    var presetsChanged = JSON.stringify(cur.presets || []) !== JSON.stringify(rec.presets || []);
+    Object.keys(cur).forEach(function (k) { delete cur[k]; });
+    Object.assign(cur, rec);
+    if (rec.id === deck.id) {
+      deck.name = rec.name;
+      if (metaChanged) { App.deckMeta = rec.deckMeta || null; emit('deck:loaded', App.deckMeta); }
+      if (presetsChanged) emit('presets:changed', listPresets());
+    }
+    return cur;
+  }
+
+  /**
+   * Re-reads the deck library after another page created, renamed or deleted a deck.
+   * If the active deck was deleted, the first remaining deck is activated.
+   * @returns {Promise<void>} Resolves when done.
+   */
+  function reloadLibrary() {
+    return Store.listDecks().then(function (list) {
+      if (!list.length) return;
+      deckLibrary = list.map(adoptRecord);
+      safe(renderDeckPickers);
+      if (findDeckRecord(deck.id)) return;
+      notify('"' + deck.name + '" was deleted in another tab.', { type: 'warn' });
+      return activateDeck(deckLibrary[0].id);
+    });
+  }
+
+  /**
+   * Reloads settings after another tab saved them and emits settings:changed for each changed value.
+   * @returns {void}
+   */
+  function syncSettings() {
+    var next = loadSettings();
+    Object.keys(next).forEach(function (key) {
+      if (next[key] === __settings[key]) return;
+      __settings[key] = next[key];
+      emit('settings:changed', { key: key, value: next[key] });
+    });
+  }
+
+  // ---------- Bulk card operations ----------
+
+  /**
+   * Returns the active deck's cards with the given IDs, in deck order.
+   * @param {string[]} ids - Card IDs.
+   * @returns {object[]} Cards (live references).
+   */
+  function cardsByIds(ids) {
+    var set = new Set(ids || []);
+    return deck.cards.filter(function (c) { return set.has(c.id); });
+  }
+
+  /**
+   * Persists changed cards after a bulk edit and tells pages that topic lists may have changed.
+   * @param {{put?:object[],del?:string[]}} change - Change-set.
+   * @param {string|object} history - Undo label or entry details (see trackHistory).
+   * @returns {Promise<void>} Resolves when the write has settled.
+   */
+  function persistBulk(change, history) {
+    buildTopicIndex(deck);
+    var done = persist(change, history);
+    emit('topics:changed', App.topicsList());
+    return done;
+  }
+
+  /**
+   * Adds topics to the given cards.
+   * @param {string[]} ids - Card IDs.
+   * @param {string[]} topics - Topics to add.
+   * @returns {number} Number of cards changed.
+   */
+  function addTopicsToCards(ids, topics) {
+    topics = (topics || []).map(normaliseTopic).filter(Boolean);
+    var put = cardsByIds(ids).filter(function (c) {
+      var before = c.topics.length;
+      topics.forEach(function (t) { if (c.topics.indexOf(t) < 0) c.topics.push(t); });
+      return c.topics.length !== before;
+    });
+    if (put.length) persistBulk({ put: put }, 'Add topics');
+    return put.length;
+  }
+
+  /**
+   * Removes topics from the given cards.
+   * @param {string[]} ids - Card IDs.
+   * @param {string[]} topics - Topics to remove.
+   * @returns {number} Number of cards changed.
+   */
+  function removeTopicsFromCards(ids, topics) {
+    var drop = new Set((topics || []).map(function (t) { return String(t).trim(); }));
+    var put = cardsByIds(ids).filter(function (c) {
+      var before = c.topics.length;
+      c.topics = c.topics.filter(function (t) { return !drop.has(t); });
+      return c.topics.length !== before;
+    });
+    if (put.length) persistBulk({ put: put }, 'Remove topics');
+    return put.length;
+  }
+
+  /**
+   * Renames a topic across the active deck, moving its subtopics with it ("A::x" becomes "B::x").
+   * Renaming onto an existing topic merges the two.
+   * @param {string} from - Current topic name.
+   * @param {string} to - New topic name.
+   * @returns {number} Number of cards changed.
+   */
+  function renameTopic(from, to) {
+    to = normaliseTopic(to);
+    if (!from || !to || from === to) return 0;
+    var prefix = from + TOPIC_SEP;
+    var put = deck.cards.filter(function (c) {
+      if (!hasTopic(c, from)) return false;
+      var next = [];
+      c.topics.forEach(function (t) {
+        var renamed = t === from ? to : t.indexOf(prefix) === 0 ? to + t.slice(from.length) : t;
+        if (next.indexOf(renamed) < 0) next.push(renamed);
       });
+      c.topics = next;
+      return true;
+    });
+    if (put.length) persistBulk({ put: put }, 'Rename topic');
+    return put.length;
+  }
+
+  /**
+   * Changes the study state of the given cards: suspend, bury, flag or clear the leech mark.
+   * @param {string[]} ids - Card IDs.
+   * @param {{suspended?:boolean,buriedUntil?:number,flag?:{color?:string,note?:string}|null,leech?:boolean}} patch -
+   *   State fields to set (buriedUntil 0 unburies, flag null unflags). Flag fields left out, such as the note
+   *   when only a colour is given, keep their current value.
+   * @param {string|object} [history] - Undo label or entry details (default "Change card state").
+   * @returns {number} Number of cards changed.
+   */
+  function setCardState(ids, patch, history) {
+    var put = cardsByIds(ids).filter(function (c) {
+      var before = JSON.stringify(c.state);
+      var next = Object.assign({}, c.state, patch);
+      if (patch.flag && c.state.flag) next.flag = Object.assign({}, c.state.flag, patch.flag);
+      c.state = normaliseState(next);
+      return JSON.stringify(c.state) !== before;
+    });
+    if (put.length) persist({ put: put }, history || 'Change card state');
+    return put.length;
+  }
+
+  /**
+   * Resets stats and spaced-repetition state of the given cards.
+   * @param {string[]} ids - Card IDs.
+   * @returns {number} Number of cards reset.
+   */
+  function resetCardStats(ids) {
+    var put = cardsByIds(ids);
+    put.forEach(function (c) { c.stats = initStats(); c.sr = initSR(); c.state.leech = false; });
+    if (put.length) {
+      persist({ put: put }, { label: 'Reset stats', toast: 'Stats reset on ' + put.length + ' card' + (put.length === 1 ? '' : 's') + '.' });
     }
-    return out;
+    return put.length;
   }
 
   /**
-   * Inserts or updates cards within the deck, preserving stats and SR where applicable.
-   * Alerts a summary when complete.
-   * @param {object[]} newCards - Cards to upsert.
+   * Deletes the given cards from the active deck.
+   * @param {string[]} ids - Card IDs.
+   * @returns {number} Number of cards deleted.
+   */
+  function deleteCards(ids) {
+    var del = new Set(cardsByIds(ids).map(function (c) { return c.id; }));
+    if (!del.size) return 0;
+    deck.cards = deck.cards.filter(function (c) { return !del.has(c.id); });
+    persistBulk({ del: Array.from(del) }, { label: 'Delete cards', toast: del.size + ' card' + (del.size === 1 ? '' : 's') + ' deleted.' });
+    return del.size;
+  }
+
+  /**
+   * Downloads some of the active deck's cards (with their review log) as JSON or XLSX.
+   * @param {string[]} ids - Card IDs.
+   * @param {'json'|'xlsx'} format - File format.
    * @returns {void}
    */
-  function upsertCards(newCards) {
+  function exportCards(ids, format) {
+    var cards = JSON.parse(JSON.stringify(cardsByIds(ids)));
+    var name = deck.name + ' selection';
+    if (format === 'xlsx') {
+      if (!window.XLSX) { alert('SheetJS not loaded'); return; }
+      var out = XLSX.write(buildWorkbook(cards), { bookType: 'xlsx', type: 'array' });
+      downloadBlob(deckFileName(name, 'xlsx'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', out);
+      return;
+    }
+    var set = new Set(ids);
+    var d = Object.assign(newDeck(deck.id, name), { cards: cards });
+    buildTopicIndex(d);
+    downloadJSON(Object.assign(d, { reviewLog: reviewLog.filter(function (e) { return set.has(e.cardId); }) }), deckFileName(name, 'json'));
+  }
+
+  /**
+   * Moves cards (with stats, SR and review history) from the active deck to another deck.
+   * Cards with the same ID in the target deck are replaced; their review-log entries stay in the target deck.
+   * Undo puts both decks back, moving back only the entries that came with the cards.
+   * @param {string[]} ids - Card IDs.
+   * @param {string} targetId - Target deck ID.
+   * @returns {Promise<number>} Number of cards moved.
+   */
+  function moveCardsToDeck(ids, targetId) {
+    var moving = cardsByIds(ids);
+    if (!moving.length || targetId === deck.id) return Promise.resolve(0);
+    return loadDeckSnapshot(targetId).then(function (snap) {
+      var sourceId = deck.id;
+      var moveIds = new Set(moving.map(function (c) { return c.id; })), idList = Array.from(moveIds);
+      var before = snap.deck.cards;
+      var after = before.filter(function (c) { return !moveIds.has(c.id); }).concat(JSON.parse(JSON.stringify(moving)));
+
+      function writeTarget(cards) {
+        var rec = findDeckRecord(targetId); if (!rec) return;
+        Object.assign(rec, { updatedAt: nowISO(), cardCount: cards.length });
+        trackWrite(Store.writeDeck(targetId, {
+          record: rec, replace: true, put: cards, order: cards.map(function (c) { return c.id; })
+        }));
+        announce({ kind: 'cards', deckId: targetId, record: Object.assign({}, rec), reload: true });
+      }
+      var movedEntries = [];
+      function moveLog(from, to) {
+        var only = null;
+        if (from === deck.id) {
+          movedEntries = reviewLog.filter(function (e) { return moveIds.has(e.cardId); }).map(function (e) { return e.id; });
+          reviewLog = reviewLog.filter(function (e) { return !moveIds.has(e.cardId); });
+        } else {
+          // Back from the target deck, only the entries that came with the cards: a replaced card's own stay there
+          only = movedEntries;
+        }
+        var done = trackWrite(Store.moveReviews(from, to, idList, only).then(function () {
+          if (to !== deck.id) return;
+          return Store.loadDeck(to).then(function (d) { reviewLog = d.reviews || []; });
+        }));
+        announceReviews(from); announceReviews(to);
+        return done;
+      }
+
+      writeTarget(after);
+      deck.cards = deck.cards.filter(function (c) { return !moveIds.has(c.id); });
+      persistBulk({ del: idList }, {
+        label: 'Move cards',
+        toast: 'Moved ' + idList.length + ' card' + (idList.length === 1 ? '' : 's') + ' to "' + snap.record.name + '".',
+        hooks: {
+          undo: function () { writeTarget(before); moveLog(targetId, sourceId); },
+          redo: function () { writeTarget(after); moveLog(sourceId, targetId); }
+        }
+      });
+      return moveLog(sourceId, targetId).then(function () { return idList.length; });
+    });
+  }
+
+  // ---------- Import preview ----------
+
+  /** Card fields compared when diffing an import against a deck (stats and SR are handled separately). */
+  var CONTENT_FIELDS = ['type', 'front', 'back', 'question', 'choices', 'correct', 'scoring', 'text', 'note', 'cloze', 'explanation', 'topics', 'keepOrder'];
+
+  /**
+   * Serialises a card's content fields (not its stats, scheduling or study state).
+   * @param {object} c - Card.
+   * @returns {string} Comparable key.
+   */
+  function cardContentKey(c) {
+    return JSON.stringify(CONTENT_FIELDS.map(function (f) { return c[f] === undefined ? null : c[f]; }));
+  }
+
+  /** Import preview groups, in display order. */
+  var IMPORT_GROUPS = [
+    { key: 'added', label: 'New', accept: true },
+    { key: 'changed', label: 'Changed', accept: true },
+    { key: 'unchanged', label: 'Unchanged', accept: true },
+    { key: 'removed', label: 'Not in file (remove)', accept: false }
+  ];
+
+  /**
+   * Formats a card field for display and comparison.
+   * @param {object} c - Card.
+   * @param {string} f - Field name.
+   * @returns {string} Value as text ('' when absent).
+   */
+  function fieldText(c, f) {
+    var v = c[f];
+    if (v == null) return '';
+    if (f === 'correct' && (typeof v === 'number' || Array.isArray(v))) return choiceLetters([].concat(v));
+    // Trailing empty choices (older cards always had four) are not a difference
+    if (f === 'choices' && Array.isArray(v)) return v.join(' | ').replace(/( \| )+$/, '');
+    if (Array.isArray(v)) return v.join(', ');
+    return String(v);
+  }
+
+  /**
+   * Short prompt text for a card (front or question).
+   * @param {object} c - Card.
+   * @returns {string} Label.
+   */
+  function cardLabel(c) {
+    var t = cardPrompt(c).replace(/\s+/g, ' ').trim();
+    return t.length > 90 ? t.slice(0, 89) + '…' : t;
+  }
+
+  /**
+   * Compares imported cards with a deck's cards.
+   * When a file repeats an ID, the last occurrence wins.
+   * @param {object[]} existing - Cards currently in the target deck.
+   * @param {object[]} incoming - Parsed (hydrated) cards from the import.
+   * @returns {{added:object[],changed:object[],unchanged:object[],removed:object[]}} Items of the form
+   *   {id, card, prev, fields:[{field,before,after}]}; `card` is the imported card, `prev` the deck's.
+   */
+  function diffImport(existing, incoming) {
+    var prev = {}; existing.forEach(function (c) { prev[c.id] = c; });
+    var seen = {};
+    var plan = { added: [], changed: [], unchanged: [], removed: [] };
+    incoming.forEach(function (c) { seen[c.id] = c; });
+    Object.keys(seen).forEach(function (id) {
+      var c = seen[id], p = prev[id];
+      if (!p) { plan.added.push({ id: id, card: c, prev: null, fields: [] }); return; }
+      var fields = [];
+      CONTENT_FIELDS.forEach(function (f) {
+        var before = fieldText(p, f), after = fieldText(c, f);
+        if (before !== after) fields.push({ field: f, before: before, after: after });
+      });
+      plan[fields.length ? 'changed' : 'unchanged'].push({ id: id, card: c, prev: p, fields: fields });
+    });
+    existing.forEach(function (p) {
+      if (!seen[p.id]) plan.removed.push({ id: p.id, card: p, prev: p, fields: [] });
+    });
+    return plan;
+  }
+
+  /**
+   * Combines two stats/SR histories for the same card: the counts come from the side with more reviews (not
+   * summed, as a file exported from this deck shares its history), and the most recent review wins the rest.
+   * @param {object} a - Card whose stats are kept in the deck.
+   * @param {object} b - Imported card.
+   * @returns {{stats:object,sr:object}} Merged stats and SR.
+   */
+  function mergeCardStats(a, b) {
+    var sa = a.stats || initStats(), sb = b.stats || initStats();
+    var bNewer = (toMs(sb.lastSeen) || 0) > (toMs(sa.lastSeen) || 0);
+    var ra = a.sr || initSR(), rb = b.sr || initSR();
+    var more = (sb.seen || 0) > (sa.seen || 0) || ((sb.seen || 0) === (sa.seen || 0) && bNewer) ? sb : sa;
+    return {
+      stats: {
+        seen: more.seen || 0,
+        correct: more.correct || 0,
+        streak: bNewer ? sb.streak : sa.streak,
+        lastSeen: bNewer ? sb.lastSeen : sa.lastSeen
+      },
+      sr: Object.assign({}, (rb.lastReviewed || 0) > (ra.lastReviewed || 0) ? rb : ra)
+    };
+  }
+
+  /**
+   * Applies the accepted parts of an import plan to the active deck and persists the change.
+   * Cards from the file take their content from the file; their stats follow `statsMode`:
+   * 'keep' keeps the deck's stats (new cards keep any stats in the file), 'merge' combines both (see mergeCardStats),
+   * 'reset' starts every imported card from scratch. The study state (suspended, buried, flag) of cards
+   * already in the deck is kept unless stats are reset. The import is announced with an Undo toast.
+   * @param {{added:object[],changed:object[],unchanged:object[],removed:object[]}} plan - From diffImport.
+   * @param {Object<string,boolean>} accepted - Card ID -> accepted.
+   * @param {'keep'|'merge'|'reset'} statsMode - Stats policy.
+   * @param {{added:object[],removed:object[]}|null} [reviews] - Review log entries the file added, for undo.
+   * @returns {{added:number,updated:number,removed:number}} Counts.
+   */
+  function applyImport(plan, accepted, statsMode, reviews) {
     var map = {}; deck.cards.forEach(function (c) { map[c.id] = c; });
-    var added = 0, updated = 0;
-    newCards.forEach(function (nc) {
-      nc = hydrateCard(nc);
-      if (map[nc.id]) {
-        nc.stats = map[nc.id].stats || initStats();
-        nc.sr = map[nc.id].sr || initSR();
-        updated++;
-      } else {
-        if (!nc.stats) nc.stats = initStats();
-        if (!nc.sr) nc.sr = initSR();
-        added++;
+    var order = deck.cards.map(function (c) { return c.id; });
+    var put = [], del = [], counts = { added: 0, updated: 0, removed: 0 };
+
+    ['added', 'changed', 'unchanged'].forEach(function (g) {
+      plan[g].forEach(function (it) {
+        if (!accepted[it.id] || (g === 'unchanged' && statsMode === 'keep')) return;
+        var nc = hydrateCard(JSON.parse(JSON.stringify(it.card)));
+        var cur = map[it.id];
+        if (statsMode === 'reset') { nc.stats = initStats(); nc.sr = initSR(); nc.state = initState(); }
+        else if (cur && statsMode === 'merge') Object.assign(nc, mergeCardStats(cur, nc), { state: cur.state });
+        else if (cur) { nc.stats = cur.stats || initStats(); nc.sr = cur.sr || initSR(); nc.state = cur.state || initState(); }
+        if (!cur) { order.push(it.id); counts.added++; } else counts.updated++;
+        map[it.id] = nc; put.push(nc);
+      });
+    });
+    plan.removed.forEach(function (it) {
+      if (!accepted[it.id] || !map[it.id]) return;
+      delete map[it.id]; del.push(it.id); counts.removed++;
+    });
+
+    deck.cards = order.filter(function (id) { return map[id]; }).map(function (id) { return map[id]; });
+    buildTopicIndex(deck);
+    var toast = 'Imported ' + counts.added + ' new, updated ' + counts.updated +
+      (counts.removed ? ', removed ' + counts.removed : '') + '. Total ' + deck.cards.length + '.';
+    persist({ put: put, del: del }, { label: 'Import', toast: toast, reviews: reviews || undefined });
+    return counts;
+  }
+
+  /**
+   * Opens the import preview: new, changed (with a field diff), unchanged and removed cards,
+   * each acceptable per card or per group, plus the stats policy.
+   * @param {{added:object[],changed:object[],unchanged:object[],removed:object[]}} plan - From diffImport.
+   * Validation issues are listed first; errors disable Import until the user ticks the override.
+   * @param {{deckName:string,fileLabel:string,issues?:object[]}} info - Summary line and validation issues.
+   * @returns {Promise<{accepted:Object<string,boolean>,statsMode:string}|null>} Choices, or null if cancelled.
+   */
+  function openImportPreview(plan, info) {
+    return new Promise(function (resolve) {
+      var settled = false;
+      function finish(v) { if (settled) return; settled = true; m.close(); resolve(v); }
+      var m = openModal('Import preview', 'modal-wide', function () { finish(null); });
+      var accepted = {};
+      IMPORT_GROUPS.forEach(function (g) { plan[g.key].forEach(function (it) { accepted[it.id] = g.accept; }); });
+      var issues = info.issues || [];
+      var errors = issues.filter(function (it) { return it.severity === 'error'; }).length;
+      var warnings = issues.length - errors;
+
+      m.body.innerHTML =
+        '<p class="help">' + escapeHTML(info.fileLabel) + ' → <strong>' + escapeHTML(info.deckName) + '</strong>: ' +
+        IMPORT_GROUPS.map(function (g) { return plan[g.key].length + ' ' + g.label.split(' (')[0].toLowerCase(); }).join(' · ') + '</p>' +
+        (issues.length ? '<details class="import-issues' + (errors ? ' has-errors' : '') + '" open>' +
+          '<summary>' + errors + ' error' + (errors === 1 ? '' : 's') + ', ' + warnings + ' warning' + (warnings === 1 ? '' : 's') + '</summary>' +
+          '<div class="table-wrap"><table class="table"><thead><tr><th></th><th>File</th><th>Sheet</th><th>Row</th><th>Column</th><th>Issue</th></tr></thead><tbody>' +
+          issues.map(function (it) {
+            return '<tr class="issue-' + it.severity + '"><td><span class="badge">' + it.severity + '</span></td>' +
+              '<td>' + escapeHTML(it.file) + '</td><td>' + escapeHTML(it.sheet) + '</td><td>' + escapeHTML(String(it.row)) + '</td>' +
+              '<td>' + escapeHTML(it.column) + '</td><td>' + escapeHTML(it.message) + '</td></tr>';
+          }).join('') + '</tbody></table></div>' +
+          '<div class="row gap-2 wrap">' +
+          '<button type="button" class="btn small import-report">Download report</button>' +
+          (errors ? '<label class="switch"><input type="checkbox" class="import-override" /> Import anyway, ignoring errors</label>' : '') +
+          '</div></details>' : '') +
+        '<label class="switch field">Stats for imported cards ' +
+        '<select class="input import-stats" style="width:auto;">' +
+        '<option value="keep">Keep the deck\'s stats</option>' +
+        '<option value="merge">Merge with stats in the file (larger counts, latest review)</option>' +
+        '<option value="reset">Reset</option></select></label>' +
+        IMPORT_GROUPS.filter(function (g) { return plan[g.key].length; }).map(function (g) {
+          return '<details class="import-group" data-group="' + g.key + '"' + (g.key === 'unchanged' ? '' : ' open') + '>' +
+            '<summary><label class="switch"><input type="checkbox" data-group-toggle="' + g.key + '"' + (g.accept ? ' checked' : '') + ' /> ' +
+            escapeHTML(g.label) + ' <span class="badge">' + plan[g.key].length + '</span></label></summary>' +
+            '<ul class="import-list">' + plan[g.key].map(function (it) {
+              return '<li><label class="switch"><input type="checkbox" data-id="' + escapeHTML(it.id) + '"' + (g.accept ? ' checked' : '') + ' /> ' +
+                '<code>' + escapeHTML(it.id) + '</code> ' + escapeHTML(cardLabel(it.card)) + '</label>' +
+                (it.fields.length ? '<table class="table import-diff"><tbody>' + it.fields.map(function (d) {
+                  return '<tr><th>' + d.field + '</th><td><del>' + escapeHTML(d.before) + '</del></td><td><ins>' + escapeHTML(d.after) + '</ins></td></tr>';
+                }).join('') + '</tbody></table>' : '') + '</li>';
+            }).join('') + '</ul></details>';
+        }).join('');
+
+      var ok = document.createElement('button');
+      ok.type = 'button'; ok.className = 'btn primary';
+      var cancel = document.createElement('button');
+      cancel.type = 'button'; cancel.className = 'btn'; cancel.textContent = 'Cancel';
+      m.footer.append(cancel, ok);
+
+      function refresh() {
+        var n = 0, r = 0;
+        Object.keys(accepted).forEach(function (id) { if (accepted[id]) n++; });
+        plan.removed.forEach(function (it) { if (accepted[it.id]) r++; });
+        ok.textContent = 'Import ' + (n - r) + ' card' + (n - r === 1 ? '' : 's') + (r ? ', remove ' + r : '');
+        ok.disabled = !n || (errors > 0 && !m.body.querySelector('.import-override').checked);
+        IMPORT_GROUPS.forEach(function (g) {
+          var box = m.body.querySelector('[data-group-toggle="' + g.key + '"]'); if (!box) return;
+          var on = plan[g.key].filter(function (it) { return accepted[it.id]; }).length;
+          box.checked = on === plan[g.key].length;
+          box.indeterminate = on > 0 && on < plan[g.key].length;
+        });
+      }
+
+      m.body.addEventListener('change', function (e) {
+        var t = e.target;
+        var g = t.getAttribute('data-group-toggle');
+        if (g) {
+          plan[g].forEach(function (it) { accepted[it.id] = t.checked; });
+          m.body.querySelectorAll('[data-group="' + g + '"] input[data-id]').forEach(function (b) { b.checked = t.checked; });
+        } else if (t.hasAttribute('data-id')) {
+          accepted[t.getAttribute('data-id')] = t.checked;
+        } else if (!t.classList.contains('import-override')) return;
+        refresh();
+      });
+      // Clicking the group checkbox shouldn't also fold the group
+      m.body.querySelectorAll('summary input').forEach(function (b) {
+        b.addEventListener('click', function (e) { e.stopPropagation(); });
+      });
+
+      m.body.querySelector('.import-report')?.addEventListener('click', function () { downloadImportReport(issues); });
+      cancel.addEventListener('click', function () { finish(null); });
+      ok.addEventListener('click', function () {
+        finish({ accepted: accepted, statsMode: m.body.querySelector('.import-stats').value });
+      });
+      refresh();
+    });
+  }
+
+  /**
+   * Previews parsed cards against the chosen deck and, once confirmed, imports the accepted ones.
+   * @param {object[]} cards - Parsed cards.
+   * @param {object[]} log - Review log entries from the files.
+   * @param {string} target - '' (active deck), '__new__' or a deck ID.
+   * @param {string} fileLabel - File name(s) for the deck meta.
+   * @param {{issues:object[]}} [report] - Validation report; errors block the import unless overridden.
+   * @param {object[]} [presets] - Study presets from the files, added to the deck once the import is accepted.
+   * @returns {Promise<boolean>} True if something was imported.
+   */
+  function importWithPreview(cards, log, target, fileLabel, report, presets) {
+    var isNew = target === '__new__';
+    var base = isNew ? Promise.resolve({ deck: { name: defaultDeckName({ name: fileLabel }), cards: [] } })
+      : loadDeckSnapshot(target || deck.id);
+    return base.then(function (snap) {
+      var plan = diffImport(snap.deck.cards, cards);
+      return openImportPreview(plan, {
+        deckName: snap.deck.name + (isNew ? ' (new)' : ''), fileLabel: fileLabel, issues: report ? report.issues : []
+      }).then(function (choice) {
+        if (!choice) return false;
+        return prepareImportTarget(target, fileLabel).then(function (switched) {
+          var had = new Set(reviewLog.map(function (e) { return e.id; }));
+          var merged = log.length ? mergeReviewLog(log) : 0;
+          var added = merged ? reviewLog.filter(function (e) { return !had.has(e.id); }) : [];
+          applyImport(plan, choice.accepted, choice.statsMode, merged ? { added: added, removed: [] } : null);
+          if (presets && presets.length) mergePresets(presets);
+          App.setDeckMeta({ name: fileLabel, importedAt: Date.now() });
+          // Another deck is now active: rebuild the page for it
+          if (switched) reloadWithDeck(deck.id);
+          return true;
+        });
+      });
+    });
+  }
+
+  // ---------- Search queries ----------
+
+  // Query syntax used by App.filterDeck's `search` (learn bar, editor, test sessions):
+  //   plain words and "exact phrases" match any text; field:value and field<op>number test one property;
+  //   terms next to each other must all match; OR, AND, NOT (or a leading -) and parentheses combine them.
+
+  /** Text fields a query can name; each returns the strings to search. */
+  var QUERY_TEXT_FIELDS = {
+    id: function (c) { return [c.id]; },
+    front: function (c) { return [c.front]; },
+    back: function (c) { return [c.back]; },
+    question: function (c) { return [c.question]; },
+    choice: function (c) { return c.choices || []; },
+    text: function (c) { return [c.text]; },
+    explanation: function (c) { return [c.explanation]; },
+    note: function (c) { return [c.state && c.state.flag ? c.state.flag.note : '']; }
+  };
+
+  /** Numeric properties for comparisons; undefined never matches (e.g. the accuracy of an unseen card). */
+  var QUERY_NUMBER_FIELDS = {
+    acc: function (c) { return c.stats.seen ? 100 * c.stats.correct / c.stats.seen : undefined; },
+    seen: function (c) { return c.stats.seen; },
+    correct: function (c) { return c.stats.correct; },
+    wrong: function (c) { return c.stats.seen - c.stats.correct; },
+    streak: function (c) { return c.stats.streak; },
+    reps: function (c) { return c.sr.reps; },
+    lapses: function (c) { return c.sr.lapses; },
+    ease: function (c) { return c.sr.ease; },
+    ivl: function (c) { return c.sr.intervalDays; }
+  };
+
+  /** Other spellings accepted for field names. */
+  var QUERY_ALIASES = { tag: 'topic', q: 'question', choices: 'choice', exp: 'explanation', interval: 'ivl', accuracy: 'acc' };
+
+  /** Parsed queries by text (most recent last), so each query string is parsed once. */
+  var queryCache = new Map();
+  var QUERY_CACHE_MAX = 50;
+
+  /**
+   * Creates a query syntax error.
+   * @param {string} message - What is wrong.
+   * @param {number} pos - Character offset in the query.
+   * @returns {Error} Error with `pos`.
+   */
+  function queryError(message, pos) {
+    var err = new Error(message);
+    err.name = 'QueryError';
+    err.pos = pos;
+    return err;
+  }
+
+  /**
+   * Splits a query into terms, parentheses and operators.
+   * Quotes keep spaces, parentheses and keywords as text, inside a term (`front:"left atrium"`) or as a whole term.
+   * @param {string} text - Query.
+   * @returns {{type:string,pos:number,text?:string,quoted?:boolean}[]} Tokens: '(' ')' 'and' 'or' 'not' 'term'.
+   */
+  function tokenizeQuery(text) {
+    var tokens = [], i = 0, n = text.length;
+    var isBreak = function (ch) { return /[\s()]/.test(ch); };
+    while (i < n) {
+      var ch = text.charAt(i);
+      if (/\s/.test(ch)) { i++; continue; }
+      if (ch === '(' || ch === ')') { tokens.push({ type: ch, pos: i }); i++; continue; }
+      if (ch === '-' && i + 1 < n && /[^\s)]/.test(text.charAt(i + 1))) { tokens.push({ type: 'not', pos: i }); i++; continue; }
+      var start = i, word = '', quoted = false;
+      while (i < n && !isBreak(text.charAt(i))) {
+        if (text.charAt(i) === '"') {
+          var end = text.indexOf('"', i + 1);
+          if (end < 0) throw queryError('Missing closing quote', i);
+          if (i === start) quoted = true;
+          word += text.slice(i + 1, end);
+          i = end + 1;
+        } else {
+          word += text.charAt(i++);
+        }
+      }
+      var keyword = !quoted && /^(AND|OR|NOT)$/.test(word) ? word.toLowerCase() : '';
+      tokens.push(keyword ? { type: keyword, pos: start } : { type: 'term', pos: start, text: word, quoted: quoted });
+    }
+    return tokens;
+  }
+
+  /**
+   * Builds a predicate for one term: a plain word or phrase, or field:value / field<op>number.
+   * @param {{pos:number,text:string,quoted:boolean}} tok - Term token.
+   * @returns {function(object, object): boolean} Predicate over (card, context).
+   */
+  function compileQueryTerm(tok) {
+    var m = tok.quoted ? null : /^([a-z]+)(<=|>=|:|<|>|=)([\s\S]*)$/i.exec(tok.text);
+    if (!m) {
+      var needle = tok.text.toLowerCase();
+      return function (c) { return cardSearchText(c).indexOf(needle) >= 0; };
+    }
+    var field = m[1].toLowerCase(), op = m[2], value = m[3], lower = value.toLowerCase();
+    field = QUERY_ALIASES[field] || field;
+    if (!value) throw queryError('Missing value after "' + m[1] + op + '"', tok.pos);
+    var valuePos = tok.pos + m[1].length + op.length;
+
+    if (QUERY_NUMBER_FIELDS[field]) {
+      var num = Number(field === 'acc' ? value.replace(/%$/, '') : value);
+      if (!isFinite(num)) throw queryError('"' + m[1] + '" needs a number, not "' + value + '"', valuePos);
+      var get = QUERY_NUMBER_FIELDS[field];
+      var cmp = {
+        ':': function (a) { return a === num; }, '=': function (a) { return a === num; },
+        '<': function (a) { return a < num; }, '<=': function (a) { return a <= num; },
+        '>': function (a) { return a > num; }, '>=': function (a) { return a >= num; }
+      }[op];
+      return function (c) { var a = get(c); return a !== undefined && cmp(a); };
+    }
+    if (op !== ':') throw queryError('"' + m[1] + '" cannot be compared with ' + op + '; use ' + m[1] + ':', tok.pos + m[1].length);
+
+    if (QUERY_TEXT_FIELDS[field]) {
+      var pick = QUERY_TEXT_FIELDS[field];
+      return function (c) {
+        return pick(c).some(function (s) { return String(s || '').toLowerCase().indexOf(lower) >= 0; });
+      };
+    }
+    switch (field) {
+      case 'topic': {
+        var re = new RegExp('^' + value.split('*').map(function (p) { return p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }).join('.*') + '$', 'i');
+        return function (c) {
+          return (c.topics || []).some(function (t) { return topicAncestry(t).some(function (p) { return re.test(p); }); });
+        };
+      }
+      case 'type': {
+        var type = { mcq: 'mcq', flashcard: 'flashcard', flash: 'flashcard', card: 'flashcard', cloze: 'cloze' }[lower];
+        if (!type) throw queryError('type: expects mcq, flashcard or cloze', valuePos);
+        return function (c) { return c.type === type; };
       }
-      map[nc.id] = nc;
-    });
-    deck.cards = Object.keys(map).map(function (k) { return map[k]; });
-    buildTopicIndex(deck); persist();
-    try { alert('Imported ' + added + ' new, updated ' + updated + '. Total ' + deck.cards.length + '.'); } catch (_e) {}
+      case 'due': {
+        var days = { today: 0, tomorrow: 1 }[lower];
+        var dm = /^(\d+)d?$/.exec(lower);
+        if (dm) days = Number(dm[1]);
+        if (lower === 'now') return function (c, ctx) { return c.sr.nextDue > 0 && c.sr.nextDue <= ctx.now; };
+        if (lower === 'overdue') return function (c, ctx) { return c.sr.nextDue > 0 && c.sr.nextDue < ctx.dayEnd(-1); };
+        if (days === undefined) throw queryError('due: expects now, today, tomorrow, overdue or a number of days', valuePos);
+        return function (c, ctx) { return c.sr.nextDue > 0 && c.sr.nextDue < ctx.dayEnd(days); };
+      }
+      case 'is': {
+        var test = {
+          suspended: function (c) { return c.state.suspended; },
+          buried: function (c, ctx) { return c.state.buriedUntil > ctx.now; },
+          flagged: function (c) { return !!c.state.flag; },
+          leech: function (c) { return c.state.leech; },
+          new: function (c) { return !c.stats.seen; },
+          due: function (c, ctx) { return (c.sr.nextDue || 0) <= ctx.now; },
+          wrong: function (c) { return c.stats.correct < c.stats.seen; }
+        }[lower];
+        if (!test) throw queryError('is: expects suspended, buried, flagged, leech, new, due or wrong', valuePos);
+        return function (c, ctx) { return !!test(c, ctx); };
+      }
+      case 'flag': {
+        if (lower !== 'any' && FLAG_COLORS.indexOf(lower) < 0) {
+          throw queryError('flag: expects any or a colour (' + FLAG_COLORS.join(', ') + ')', valuePos);
+        }
+        return function (c) { return !!c.state.flag && (lower === 'any' || c.state.flag.color === lower); };
+      }
+    }
+    throw queryError('Unknown field "' + m[1] + '"', tok.pos);
   }
 
   /**
-   * Exports the current deck as JSON.
-   * @returns {void}
+   * All of a card's searchable text, lower-cased (what plain words match against).
+   * @param {object} c - Card.
+   * @returns {string} Text.
    */
-  function exportJSON() { downloadJSON(deck, 'cardcue_deck.json'); }
+  function cardSearchText(c) {
+    return [
+      c.id, c.type, c.front, c.back, c.question, c.text,
+      (c.choices || []).join(' '), (c.topics || []).join(','), c.explanation
+    ].join(' ').toLowerCase();
+  }
 
   /**
-   * Exports the current deck as an XLSX workbook with 'Flashcards' and 'MCQ' sheets.
-   * Requires SheetJS to be present on window.XLSX.
-   * @returns {void}
+   * Parses a query into a predicate. Precedence: NOT, then AND (explicit or implied), then OR.
+   * @param {string} text - Query.
+   * @returns {function(object, object): boolean} Predicate over (card, context).
+   * @throws {Error} QueryError with `pos` when the query is malformed.
    */
-  function exportXLSX() {
-    if (!window.XLSX) { alert('SheetJS not loaded'); return; }
-    var fc = deck.cards.filter(function (c) { return c.type === 'flashcard'; }).map(function (c) {
-      return { id: c.id, front: c.front || '', back: c.back || '', topics: (c.topics || []).join(','), explanation: c.explanation || '' };
-    });
-    var mcq = deck.cards.filter(function (c) { return c.type === 'mcq'; }).map(function (c) {
-      return {
-        id: c.id, question: c.question || '',
-        choiceA: c.choices?.[0] || '', choiceB: c.choices?.[1] || '',
-        choiceC: c.choices?.[2] || '', choiceD: c.choices?.[3] || '',
-        correct: typeof c.correct === 'number' ? ['A', 'B', 'C', 'D'][c.correct] : (c.answer || 'A'),
-        topics: (c.topics || []).join(','), explanation: c.explanation || ''
-      };
-    });
-    var wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(fc), 'Flashcards');
-    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(mcq), 'MCQ');
-    var out = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-    downloadBlob('deck.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', out);
+  function parseQuery(text) {
+    var tokens = tokenizeQuery(text), p = 0;
+    var peek = function () { return tokens[p]; };
+    var all = function (fns) { return function (c, ctx) { return fns.every(function (f) { return f(c, ctx); }); }; };
+    var any = function (fns) { return function (c, ctx) { return fns.some(function (f) { return f(c, ctx); }); }; };
+
+    function parseOr() {
+      var items = [parseAnd()];
+      while (peek() && peek().type === 'or') { p++; items.push(parseAnd()); }
+      return items.length === 1 ? items[0] : any(items);
+    }
+    function parseAnd() {
+      var items = [parseNot()];
+      while (peek() && peek().type !== ')' && peek().type !== 'or') {
+        if (peek().type === 'and') p++;
+        items.push(parseNot());
+      }
+      return items.length === 1 ? items[0] : all(items);
+    }
+    function parseNot() {
+      var tok = peek();
+      if (tok && tok.type === 'not') {
+        p++;
+        var inner = parseNot();
+        return function (c, ctx) { return !inner(c, ctx); };
+      }
+      return parsePrimary();
+    }
+    function parsePrimary() {
+      var tok = tokens[p++];
+      if (!tok) throw queryError('Query ends too soon: a term is missing', text.length);
+      if (tok.type === 'term') return compileQueryTerm(tok);
+      if (tok.type === '(') {
+        if (peek() && peek().type === ')') throw queryError('Empty parentheses', tok.pos);
+        var inner = parseOr();
+        if (!peek() || peek().type !== ')') throw queryError('Missing closing parenthesis', tok.pos);
+        p++;
+        return inner;
+      }
+      if (tok.type === ')') throw queryError('Unexpected closing parenthesis', tok.pos);
+      throw queryError('A term is missing before ' + tok.type.toUpperCase(), tok.pos);
+    }
+
+    if (!tokens.length) return function () { return true; };
+    var pred = parseOr();
+    if (p < tokens.length) throw queryError('Unexpected closing parenthesis', tokens[p].pos);
+    return pred;
   }
 
   /**
-   * Creates a template workbook suitable for import into CardCue.
-   * @returns {object} XLSX workbook.
+   * Parses a query once and keeps the result for the next call with the same text.
+   * @param {string} text - Query.
+   * @returns {{test:function(object, object):boolean|null, error:{message:string,pos:number}|null}} Predicate or error.
    */
-  function makeTemplateWorkbook() {
-    var wb = XLSX.utils.book_new();
-    var flashRows = [
-      ['id', 'front', 'back', 'topics', 'explanation'],
-      ['F001', 'Sample front', 'Sample back', 'TopicA, TopicB', 'Optional explanation']
-    ];
-    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(flashRows), 'Flashcards');
-    var mcqRows = [
-      ['id', 'question', 'choiceA', 'choiceB', 'choiceC', 'choiceD', 'correct', 'topics', 'explanation'],
-      ['Q001', 'Sample MCQ?', 'Answer A', 'Answer B', 'Answer C', 'Answer D', 'A', 'Topic1, Topic2', 'Optional explanation']
-    ];
-    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(mcqRows), 'MCQ');
-    return wb;
+  function compileQuery(text) {
+    text = String(text || '');
+    var hit = queryCache.get(text);
+    if (hit) return hit;
+    var out;
+    try {
+      out = { test: parseQuery(text), error: null };
+    } catch (err) {
+      if (err.name !== 'QueryError') throw err;
+      out = { test: null, error: { message: err.message, pos: err.pos } };
+    }
+    queryCache.set(text, out);
+    if (queryCache.size > QUERY_CACHE_MAX) queryCache.delete(queryCache.keys().next().value);
+    return out;
   }
 
-  // ---------- Stats + spaced repetition ----------
-
   /**
-   * Records the result of a study interaction and updates spaced repetition.
-   * @param {string} cardId - Card identifier.
-   * @param {boolean} wasCorrect - Whether the response was correct.
-   * @returns {void}
+   * Times a query's date terms are measured against, fixed for one filtering pass.
+   * @param {number} now - Milliseconds.
+   * @returns {{now:number, dayEnd:function(number):number}} `dayEnd(n)`: local midnight ending the day n days from today.
    */
-  function markResult(cardId, wasCorrect) {
-    var c = deck.cards.find(function (x) { return x.id === cardId; });
-    if (!c) return;
-    c.stats.seen += 1;
-    if (wasCorrect) { c.stats.correct += 1; c.stats.streak += 1; } else { c.stats.streak = 0; }
-    c.stats.lastSeen = nowISO();
-
-    var stepIdx = Math.min(c.stats.streak, SR_STEPS.length - 1);
-    var days = SR_STEPS[stepIdx];
-    c.sr.intervalDays = days;
-    c.sr.lastReviewed = nowMs();
-    c.sr.nextDue = c.sr.lastReviewed + days * 24 * 3600 * 1000;
+  function queryContext(now) {
+    return {
+      now: now,
+      dayEnd: function (n) {
+        var d = new Date(now); d.setHours(0, 0, 0, 0); d.setDate(d.getDate() + n + 1);
+        return d.getTime();
+      }
+    };
+  }
 
-    persist();
+  /**
+   * Shows a query's syntax error (if any) in an inline message element and marks the input invalid.
+   * @param {HTMLInputElement} input - Query input.
+   * @param {HTMLElement} [out] - Message element (hidden when the query is valid).
+   * @returns {boolean} True if the query is valid.
+   */
+  function showQueryError(input, out) {
+    var err = compileQuery(input.value.trim()).error;
+    input.setAttribute('aria-invalid', err ? 'true' : 'false');
+    if (out) {
+      out.textContent = err ? err.message + ' (at character ' + (err.pos + 1) + ')' : '';
+      out.hidden = !err;
+    }
+    return !err;
   }
 
   // ---------- Public API ----------
@@ -437,32 +4360,41 @@
   /** @type {any} */
   window.App = window.App || {};
 
-  // Deck meta bootstrap and setter
-  try { App.deckMeta = JSON.parse(localStorage.getItem(META_KEY) || 'null'); } catch (_) { App.deckMeta = null; }
+  // Event bus (see EVENT_TYPES for the events and their payloads)
+  App.on = on;
+  App.off = off;
+  App.emit = emit;
+  App.events = EVENT_TYPES.slice();
+
+  // Active deck's meta (file name + imported timestamp); loaded from the store before App.ready resolves
+  App.deckMeta = null;
 
   /**
-   * Persist deck meta (file name + imported timestamp) and notify listeners.
+   * Persist the active deck's meta (file name + imported timestamp) and notify listeners.
    * @param {{name:string, importedAt:number}|null} meta
    */
   App.setDeckMeta = function (meta) {
     try {
       App.deckMeta = meta || null;
-      if (meta) localStorage.setItem(META_KEY, JSON.stringify(meta));
-      else localStorage.removeItem(META_KEY);
-      window.dispatchEvent(new CustomEvent('app:deckLoaded', { detail: meta }));
+      var rec = activeRecord(); rec.deckMeta = App.deckMeta;
+      if (Store) trackWrite(Store.putDeck(rec));
+      announce({ kind: 'library' });
+      emit('deck:loaded', App.deckMeta);
     } catch (_) {}
   };
 
   /**
-   * Retrieves the deck from storage without mutating in-memory state.
+   * Returns a deep copy of the deck, so callers can edit it without mutating in-memory state.
+   * Call after App.ready has resolved; before that it returns an empty deck.
    * @returns {object} Deck object.
    */
-  App.getDeck = function () { return JSON.parse(localStorage.getItem(KEY)) || newDeck(); };
+  App.getDeck = function () { return JSON.parse(JSON.stringify(deck)); };
 
   /**
-   * Replaces the deck and persists.
+   * Replaces the deck and persists the cards that changed (undoable).
    * @param {object} d - New deck.
-   * @returns {void}
+   * @param {string|{label:string,toast?:string}} [history] - Undo label; a `toast` marks it destructive.
+   * @returns {Promise<void>} Resolves when the write has settled.
    */
   App.setDeck = setDeck;
 
@@ -474,17 +4406,74 @@
   App.upsertCards = upsertCards;
 
   /**
-   * Exports current deck as JSON.
-   * @returns {void}
+   * Exports a deck (default: active) as JSON.
+   * @param {string} [deckId] - Deck ID.
+   * @returns {Promise<void>}
    */
   App.exportJSON = exportJSON;
 
   /**
-   * Exports current deck as XLSX.
-   * @returns {void}
+   * Exports a deck (default: active) as XLSX.
+   * @param {string} [deckId] - Deck ID.
+   * @returns {Promise<void>}
    */
   App.exportXLSX = exportXLSX;
 
+  /**
+   * Deck library: every deck has its own cards, stats, review log, deckMeta and session count.
+   */
+  App.decks = {
+    /**
+     * Lists deck records (copies), oldest first.
+     * @returns {object[]} Records.
+     */
+    list: function () {
+      return deckLibrary.map(function (r) {
+        return Object.assign({}, r, r.id === deck.id ? { cardCount: deck.cards.length } : {});
+      });
+    },
+    /**
+     * ID of the active deck.
+     * @returns {string} Deck ID.
+     */
+    activeId: function () { return deck.id; },
+    create: createDeck,
+    rename: renameDeck,
+    duplicate: duplicateDeck,
+    remove: deleteDeck,
+    /**
+     * Activates a deck in place (page-level state is not rebuilt; see reload).
+     * @param {string} id - Deck ID.
+     * @returns {Promise<void>}
+     */
+    switch: activateDeck,
+    /**
+     * Saves pending writes, makes `id` active and reloads the page.
+     * @param {string} id - Deck ID.
+     * @returns {Promise<void>}
+     */
+    reload: reloadWithDeck,
+    load: loadDeckSnapshot,
+    loadAll: loadAllDecks
+  };
+
+  /**
+   * Saved study presets of the active deck: a name plus the full filter set (topics, type, search query,
+   * wrong/due flags, order, count, session or exam mode). They are exported with the deck's JSON.
+   */
+  App.presets = {
+    list: listPresets,
+    /**
+     * Returns one preset (a copy).
+     * @param {string} id - Preset ID.
+     * @returns {object|null} Preset.
+     */
+    get: function (id) { return listPresets().filter(function (p) { return p.id === id; })[0] || null; },
+    save: savePreset,
+    remove: deletePreset,
+    start: startPreset
+  };
+
   /**
    * Produces an empty template workbook.
    * @returns {object} XLSX workbook.
@@ -502,12 +4491,24 @@
      */
     get: function (key) { return __settings[key]; },
     /**
-     * Sets a boolean setting and persists.
+     * Sets a setting and persists. Values are coerced to the type of the default
+     * (number or string for numeric and text settings, boolean otherwise); numbers are clamped to the
+     * setting's valid range (e.g. fuzzPercent 0-25, maxIntervalDays at least 1).
      * @param {string} key - Setting key.
-     * @param {any} val - Value coerced to boolean.
+     * @param {any} val - Value.
      * @returns {void}
      */
-    set: function (key, val) { __settings[key] = !!val; saveSettings(); },
+    set: function (key, val) {
+      if (typeof defaultSettings[key] === 'number') {
+        __settings[key] = clampSetting(key, val);
+      } else if (typeof defaultSettings[key] === 'string') {
+        __settings[key] = String(val);
+      } else {
+        __settings[key] = !!val;
+      }
+      saveSettings();
+      emit('settings:changed', { key: key, value: __settings[key] });
+    },
     /**
      * Returns a shallow copy of all settings.
      * @returns {object} Settings snapshot.
@@ -529,7 +4530,10 @@
      * @param {string} mode - Mode string.
      * @returns {void}
      */
-    set: function (mode) { localStorage.setItem(VIEWMODE_KEY, mode); }
+    set: function (mode) {
+      localStorage.setItem(VIEWMODE_KEY, mode);
+      emit('settings:changed', { key: 'viewMode', value: mode });
+    }
   };
 
   /**
@@ -542,61 +4546,215 @@
     return Array.from(set).sort();
   };
 
+  /**
+   * Arranges topics as a tree ("A::B" is B under A). Each node has `name`, `path`, `depth`, `children`,
+   * and the distinct cards under it (`count`) with their answers rolled up (`seen`, `correct`).
+   * @param {object[]} [cards] - Cards (defaults to the active deck's).
+   * @returns {object[]} Top-level nodes, sorted by name.
+   */
+  App.topicTree = function (cards) { return topicTree(cards || deck.cards); };
+
+  /**
+   * The order to show an MCQ's choices in for one attempt (see choiceOrder).
+   * @param {object} c - Card.
+   * @returns {number[]} Stored choice indexes in display order; shuffled unless the card keeps its order.
+   */
+  App.choiceOrder = choiceOrder;
+
+  /**
+   * MCQ helpers for pages: choice letters and limits, a card's correct indexes, whether it is select-all-that-apply,
+   * and the credit (0-1) an answer earns (see scoreMCQ).
+   */
+  App.mcq = {
+    letters: CHOICE_LETTERS.slice(), min: MIN_CHOICES, max: MAX_CHOICES,
+    correct: correctChoices, isMulti: isMultiAnswer, score: scoreMCQ
+  };
+
+  /**
+   * Cloze helpers for pages: a note's deletion numbers, the cards it generates, and card `n` rendered as HTML
+   * (blanked, or revealed), as plain text or as its answer (see "Cloze notes").
+   */
+  App.cloze = { indexes: clozeIndexes, cards: clozeCards, html: clozeHTML, text: clozeText, answer: clozeAnswer };
+
+  /**
+   * A card's prompt as plain text (question, front, or cloze text with the asked deletion blanked).
+   * @param {object} c - Card.
+   * @returns {string} Text.
+   */
+  App.cardPrompt = cardPrompt;
+
+  /** Topic picker for a page's topic filter (see createTopicPicker). */
+  App.createTopicPicker = createTopicPicker;
+
+  /**
+   * Describes a topic selection ("Any of A, B · not C").
+   * @param {{topics?:string[],mode?:'any'|'all',exclude?:string[]}} sel - Selection (see App.createTopicPicker).
+   * @returns {string} Description.
+   */
+  App.describeTopics = function (sel) { return describeTopicSelection(normaliseTopicSelection(sel)); };
+
+  /**
+   * A card's content as a comparable string, to tell edits from answers (see cardContentKey).
+   * @param {object} c - Card.
+   * @returns {string} Key.
+   */
+  App.cardContentKey = cardContentKey;
+
+  /**
+   * Batch edits on the active deck's cards (editor multi-select).
+   * Each mutation persists only the touched cards; topic changes emit `topics:changed`.
+   */
+  App.bulk = {
+    addTopics: addTopicsToCards,
+    removeTopics: removeTopicsFromCards,
+    renameTopic: renameTopic,
+    resetStats: resetCardStats,
+    setState: setCardState,
+    remove: deleteCards,
+    exportCards: exportCards,
+    moveTo: moveCardsToDeck
+  };
+
+  /**
+   * Undo/redo for deck changes (imports, editor saves, bulk edits, reset, clear).
+   * Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z are bound on every page.
+   */
+  App.history = {
+    undo: undo,
+    redo: redo,
+    canUndo: function () { return undoStack.length > 0; },
+    canRedo: function () { return redoStack.length > 0; },
+    labels: function () { return { undo: undoStack.map(function (e) { return e.label; }), redo: redoStack.map(function (e) { return e.label; }) }; }
+  };
+
+  /**
+   * Generates an unused card ID in the template's style: F001... for flashcards, Q001... for MCQs, C001... for cloze
+   * notes (whose cards are C001-c1, C001-c2...).
+   * @param {'flashcard'|'mcq'|'cloze'} type - Card type.
+   * @returns {string} Card or note ID.
+   */
+  App.newCardId = function (type) {
+    var prefix = { mcq: 'Q', cloze: 'C' }[type] || 'F';
+    var used = new Set(deck.cards.map(function (c) { return c.id; }).concat(deck.cards.map(function (c) { return c.note; }).filter(Boolean)));
+    var n = 0;
+    used.forEach(function (id) {
+      var m = new RegExp('^' + prefix + '(\\d+)$').exec(id);
+      if (m) n = Math.max(n, parseInt(m[1], 10));
+    });
+    var id;
+    do { n++; id = prefix + String(n).padStart(3, '0'); } while (used.has(id));
+    return id;
+  };
+
+  /**
+   * Validates a card's content with the same rules as import.
+   * @param {object} c - Card.
+   * @returns {{severity:'error'|'warning',column:string,message:string}[]} Issues (empty when valid).
+   */
+  App.validateCard = function (c) {
+    var report = newImportReport();
+    checkCard(report, {}, c || {});
+    return report.issues.map(function (it) { return { severity: it.severity, column: it.column, message: it.message }; });
+  };
+
   /**
    * Filters the deck according to options.
    * @param {object} [opts] - Filter options.
-   * @param {string} [opts.search] - Case-insensitive text search across fields.
-   * @param {string} [opts.topic] - Topic name to include.
-   * @param {string} [opts.type] - 'flashcard' or 'mcq'.
+   * @param {string} [opts.search] - Search query (see "Search queries"); a malformed query matches nothing,
+   *   check it first with App.query.check.
+   * @param {string} [opts.topic] - Topic to include (with its subtopics); added to `topics`.
+   * @param {string[]} [opts.topics] - Include cards with these topics (or their subtopics).
+   * @param {'any'|'all'} [opts.topicMode='any'] - Whether a card needs any or all of `topics`.
+   * @param {string[]} [opts.excludeTopics] - Leave out cards with these topics (or their subtopics).
+   * @param {string} [opts.type] - 'flashcard', 'mcq' or 'cloze'.
    * @param {boolean} [opts.wrongOnly] - Include only cards answered incorrectly at least once.
    * @param {boolean} [opts.dueOnly] - Include only cards due by SR scheduling.
    * @param {boolean} [opts.shuffle] - Shuffle results.
+   * @param {'deck'|'shuffle'|'due'} [opts.order='deck'] - Result order ('due': soonest due first, unseen cards last).
    * @param {number} [opts.limit] - Maximum number of results.
    * @param {string[]} [opts.ids] - Restrict to specific IDs.
+   * @param {'active'|'all'|'suspended'|'buried'|'flagged'|'leech'} [opts.state='active'] - Study state: 'active'
+   *   leaves out suspended and buried cards; the others keep only cards in that state ('all' keeps every card).
    * @returns {object[]} Filtered array of cards.
    */
   App.filterDeck = function (opts) {
     opts = opts || {};
-    var search = (opts.search || '').toLowerCase();
-    var topic = opts.topic || '';
+    var search = (opts.search || '').trim();
+    var topics = normaliseTopicSelection({
+      topics: (opts.topic ? [opts.topic] : []).concat(opts.topics || []),
+      mode: opts.topicMode,
+      exclude: opts.excludeTopics
+    });
     var type = opts.type || '';
     var wrongOnly = !!opts.wrongOnly;
     var dueOnly = !!opts.dueOnly;
     var ids = opts.ids ? new Set(opts.ids) : null;
 
+    var state = opts.state || 'active';
+    var now = nowMs();
+
     var arr = deck.cards.slice();
 
+    if (state !== 'all') {
+      arr = arr.filter(function (c) {
+        if (state === 'active') return isStudyable(c, now);
+        if (state === 'suspended') return c.state.suspended;
+        if (state === 'buried') return c.state.buriedUntil > now;
+        if (state === 'flagged') return !!c.state.flag;
+        return state === 'leech' && c.state.leech;
+      });
+    }
     if (ids) arr = arr.filter(function (c) { return ids.has(c.id); });
     if (type) arr = arr.filter(function (c) { return c.type === type; });
-    if (topic) arr = arr.filter(function (c) { return (c.topics || []).indexOf(topic) >= 0; });
+    if (topics.topics.length || topics.exclude.length) {
+      arr = arr.filter(function (c) { return matchesTopicSelection(c, topics); });
+    }
     if (search) {
-      arr = arr.filter(function (c) {
-        var hay = [
-          c.id, c.type, c.front, c.back, c.question,
-          (c.choices || []).join(' '), (c.topics || []).join(','), c.explanation
-        ].join(' ').toLowerCase();
-        return hay.indexOf(search) >= 0;
-      });
+      var query = compileQuery(search);
+      if (query.error) return [];
+      var ctx = queryContext(now);
+      arr = arr.filter(function (c) { return query.test(c, ctx); });
     }
     if (wrongOnly) {
       arr = arr.filter(function (c) { return c.stats.correct < c.stats.seen; });
     }
     if (dueOnly) {
-      var t = nowMs();
-      arr = arr.filter(function (c) { return ((c.sr && c.sr.nextDue) || 0) <= t; });
+      arr = arr.filter(function (c) { return ((c.sr && c.sr.nextDue) || 0) <= now; });
+    }
+    if (opts.shuffle || opts.order === 'shuffle') App.shuffleInPlace(arr);
+    else if (opts.order === 'due') {
+      var dueAt = function (c) { return (c.sr && c.sr.nextDue) || Infinity; };
+      arr.sort(function (a, b) { return dueAt(a) - dueAt(b); });
     }
-    if (opts.shuffle) App.shuffleInPlace(arr);
     if (opts.limit && arr.length > opts.limit) arr = arr.slice(0, opts.limit);
+    return arr;
+  };
 
-    try {
-      if (window.App && App.viewMode && typeof App.viewMode.get === 'function') {
-        if (App.viewMode.get() === 'grid') {
-          if (arr.length > 9) arr = arr.slice(0, 9);
-        }
-      }
-    } catch (_) {}
+  /**
+   * Search queries (the syntax App.filterDeck's `search` accepts).
+   * `compile(text)` returns {test, error}; `check(text)` returns the syntax error or null;
+   * `bindInput(input, out)` keeps an inline error message in step with a search box.
+   */
+  App.query = {
+    compile: compileQuery,
+    check: function (text) { return compileQuery(text).error; },
+    bindInput: function (input, out) {
+      var update = function () { return showQueryError(input, out); };
+      input.addEventListener('input', update);
+      return update();
+    }
+  };
 
-    return arr;
+  /**
+   * Composes a balanced session (see composeSession): weighted towards low accuracy, overdue and recently missed
+   * cards, with new cards capped, MCQs and flashcards balanced and topics interleaved. Repeatable for a given seed.
+   * @param {object[]} [cards] - Candidate cards (default: the active deck's cards that are not suspended or buried).
+   * @param {{count?:number,maxNew?:number,seed?:number}} [opts] - Options.
+   * @returns {{pool:object[],reasons:Object<string, string[]>,seed:number}} Cards, why each was picked, and the seed.
+   */
+  App.composeSession = function (cards, opts) {
+    var now = nowMs();
+    return composeSession(cards || deck.cards.filter(function (c) { return isStudyable(c, now); }), opts);
   };
 
   /**
@@ -615,26 +4773,140 @@
   /**
    * Records a result by card ID and updates SR.
    * @param {string} cardId - Card identifier.
-   * @param {boolean} wasCorrect - Whether the response was correct.
+   * @param {boolean|number|string} grade - Grade name, 1-4, or a boolean.
    * @returns {void}
    */
   App.markResult = markResult;
 
   /**
-   * Increments the persisted session counter.
-   * @returns {void}
+   * Scheduling module (grades, review, interval preview).
+   */
+  App.scheduler = Scheduler;
+
+  /**
+   * Timed exams on the study page. Attempts are stored per deck, apart from card stats and the review log.
+   */
+  App.exams = {
+    /**
+     * Starts an exam (see startExam).
+     * @param {object} [opts] - Count, minutes and filters.
+     * @returns {boolean} False if no exam could be started.
+     */
+    start: startExam,
+    /**
+     * Submits the running exam (asking first if questions are unanswered).
+     * @returns {object|null} The stored attempt, or null if none was running or the user kept going.
+     */
+    submit: function () { return submitExam(false); },
+    /**
+     * Lists the active deck's exam attempts, oldest first.
+     * @returns {Promise<object[]>} Exam records.
+     */
+    list: function () { return Store ? Store.listExams(deck.id) : Promise.resolve([]); },
+    /**
+     * Shows a stored attempt on the results screen.
+     * @param {object} rec - Exam record.
+     * @returns {void}
+     */
+    show: renderExamResults
+  };
+
+  /**
+   * Study session history. Finished sessions carry their end-of-session report.
+   */
+  App.sessions = {
+    /**
+     * Lists a deck's session records, oldest first.
+     * @param {string} [deckId] - Deck ID (default: the active deck).
+     * @returns {Promise<object[]>} Session records.
+     */
+    list: function (deckId) { return Store && Store.listSessions ? Store.listSessions(deckId || deck.id) : Promise.resolve([]); },
+    /**
+     * Downloads a session's report.
+     * @param {object} rec - Session record (from list).
+     * @param {'json'|'csv'|'html'} format - File format.
+     * @returns {void}
+     */
+    download: downloadSessionReport
+  };
+
+  /**
+   * Per-attempt review log of the active deck (persisted; included in JSON export/import).
+   */
+  App.reviewLog = {
+    /**
+     * Queries log entries.
+     * @param {object} [opts] - See queryReviewLog.
+     * @returns {object[]} Entries.
+     */
+    query: queryReviewLog,
+    /**
+     * Aggregates attempts, accuracy and average response time per card.
+     * @param {object} [opts] - See queryReviewLog.
+     * @returns {Object.<string,object>} Map keyed by card ID.
+     */
+    statsByCard: reviewStatsByCard,
+    /**
+     * Reviews, accuracy, time studied and cards per day, with daily streaks.
+     * @param {object[]} [entries] - Log entries (default: the active deck's log).
+     * @returns {object} See reviewActivity.
+     */
+    activity: reviewActivity,
+    /**
+     * Number of entries in the log.
+     * @returns {number} Count.
+     */
+    count: function () { return reviewLog.length; },
+    /**
+     * Deletes every entry of the active deck.
+     * @returns {void}
+     */
+    clear: function () {
+      reviewLog = [];
+      if (Store) trackWrite(Store.clearReviews(deck.id));
+      announceReviews(deck.id);
+    }
+  };
+
+  /**
+   * Increments the active deck's session counter and stores a session record.
+   * @param {{size?:number,mode?:string,filters?:object}} [info] - Session details.
+   * @returns {object} The session record (its report is added when the session finishes).
    */
-  App.incrementSessionCount = function () {
-    var n = parseInt(localStorage.getItem(KEY_SESSIONS) || '0', 10) + 1;
-    localStorage.setItem(KEY_SESSIONS, String(n));
+  App.incrementSessionCount = function (info) {
+    var deckRec = activeRecord();
+    deckRec.sessionCount = (deckRec.sessionCount || 0) + 1;
+    var rec = Object.assign({ id: uid() + uid(), deckId: deck.id, startedAt: nowMs(), mode: currentMode() }, info);
+    if (Store) trackWrite(Store.addSession(rec, deckRec));
+    announce({ kind: 'library' });
+    return rec;
   };
 
   /**
-   * Retrieves the persisted session counter.
+   * Retrieves the active deck's session counter.
    * @returns {number} Count.
    */
-  App.getSessionCount = function () {
-    return parseInt(localStorage.getItem(KEY_SESSIONS) || '0', 10);
+  App.getSessionCount = function () { return activeRecord().sessionCount || 0; };
+
+  /**
+   * Resolves once every storage write issued so far has settled.
+   * @returns {Promise<void>} Settled writes.
+   */
+  App.flush = function () { return lastWrite; };
+
+  /**
+   * Shows a toast notification (see notify).
+   */
+  App.notify = notify;
+
+  /**
+   * Describes the active storage backend and its usage.
+   * @returns {Promise<{backend:string,usage:number|null,quota:number|null}>} Info.
+   */
+  App.storageInfo = function () {
+    return App.ready.then(function () { return Store.estimate(); }).then(function (est) {
+      return { backend: Store.kind, usage: est ? est.usage : null, quota: est ? est.quota : null };
+    });
   };
 
   /**
@@ -670,6 +4942,157 @@
     return function () { window.removeEventListener('keydown', onKey); };
   };
 
+  // ---------- Topic picker ----------
+
+  /** Next state of a topic in a picker when its switch is clicked. */
+  var TOPIC_PICK_NEXT = { '': 'include', include: 'exclude', exclude: '' };
+
+  /**
+   * Renders a topic picker: the topic tree with a switch per topic that cycles between ignored, included (✓) and
+   * excluded (−), a menu for whether cards need any or all of the included topics, and Clear. Every study entry point
+   * uses one. The selection is remembered per page (and per picker) and topics missing from the deck are dropped.
+   * @param {HTMLElement} host - Container (emptied).
+   * @param {{key?:string,onChange?:function(object):void}} [opts] - `key` names the picker on its page (default: the
+   *   host's ID); `onChange` receives the selection after the user changes it.
+   * @returns {{get:function():object,set:function(object):void,describe:function():string,render:function():void}}
+   *   Controller; selections are {topics, mode, exclude} (see normaliseTopicSelection).
+   */
+  function createTopicPicker(host, opts) {
+    opts = opts || {};
+    var storeKey = TOPIC_PICKER_KEY + ':' + location.pathname + ':' + (opts.key || host.id || 'topics');
+    var sel = normaliseTopicSelection((function () {
+      try { return JSON.parse(localStorage.getItem(storeKey) || 'null'); } catch (_) { return null; }
+    })());
+    var expanded = new Set();
+
+    /**
+     * Stores the selection and tells the page.
+     * @returns {void}
+     */
+    function changed() {
+      try { localStorage.setItem(storeKey, JSON.stringify(sel)); } catch (_) {}
+      render();
+      if (typeof opts.onChange === 'function') opts.onChange(api.get());
+    }
+
+    /**
+     * Cycles a topic between ignored, included and excluded.
+     * @param {string} topic - Topic path.
+     * @returns {void}
+     */
+    function cycle(topic) {
+      var state = sel.topics.indexOf(topic) >= 0 ? 'include' : sel.exclude.indexOf(topic) >= 0 ? 'exclude' : '';
+      var next = TOPIC_PICK_NEXT[state];
+      var without = function (list) { return list.filter(function (t) { return t !== topic; }); };
+      sel.topics = next === 'include' ? sel.topics.concat([topic]) : without(sel.topics);
+      sel.exclude = next === 'exclude' ? sel.exclude.concat([topic]) : without(sel.exclude);
+      changed();
+    }
+
+    /**
+     * Redraws the picker from the deck's current topics.
+     * @returns {void}
+     */
+    function render() {
+      var tree = topicTree(deck.cards);
+      var known = deck.topicIndex || {};
+      sel.topics = sel.topics.filter(function (t) { return known[t]; });
+      sel.exclude = sel.exclude.filter(function (t) { return known[t]; });
+
+      host.innerHTML = '';
+      host.classList.add('topic-picker');
+      var head = document.createElement('div'); head.className = 'topic-picker-head';
+      var mode = document.createElement('select'); mode.className = 'input topic-mode';
+      mode.setAttribute('aria-label', 'Cards need');
+      [['any', 'Any selected topic'], ['all', 'All selected topics']].forEach(function (o) {
+        mode.appendChild(new Option(o[1], o[0], false, sel.mode === o[0]));
+      });
+      mode.disabled = sel.topics.length < 2;
+      mode.addEventListener('change', function () { sel.mode = mode.value === 'all' ? 'all' : 'any'; changed(); });
+      var clear = document.createElement('button');
+      clear.type = 'button'; clear.className = 'btn topic-clear'; clear.textContent = 'Clear';
+      clear.disabled = !sel.topics.length && !sel.exclude.length;
+      clear.addEventListener('click', function () { sel.topics = []; sel.exclude = []; changed(); });
+      var summary = document.createElement('span'); summary.className = 'topic-picker-summary';
+      summary.textContent = describeTopicSelection(sel);
+      head.appendChild(mode); head.appendChild(clear); head.appendChild(summary);
+      host.appendChild(head);
+
+      var list = document.createElement('ul'); list.className = 'topic-tree';
+      var addItem = function (parent, node) {
+        var state = sel.topics.indexOf(node.path) >= 0 ? 'include' : sel.exclude.indexOf(node.path) >= 0 ? 'exclude' : '';
+        var li = document.createElement('li'); li.setAttribute('data-topic', node.path);
+        if (state) li.className = state + 'd';
+        var row = document.createElement('span'); row.className = 'topic-row';
+        var sub = null;
+        if (node.children.length) {
+          sub = document.createElement('ul');
+          sub.hidden = !expanded.has(node.path);
+          var toggle = document.createElement('button');
+          toggle.type = 'button'; toggle.className = 'topic-toggle'; toggle.textContent = '▸';
+          toggle.setAttribute('aria-expanded', String(!sub.hidden));
+          toggle.setAttribute('aria-label', 'Subtopics of ' + node.path);
+          toggle.addEventListener('click', function () {
+            sub.hidden = !sub.hidden;
+            if (sub.hidden) expanded.delete(node.path); else expanded.add(node.path);
+            toggle.setAttribute('aria-expanded', String(!sub.hidden));
+          });
+          row.appendChild(toggle);
+        }
+        var pick = document.createElement('button');
+        pick.type = 'button'; pick.className = 'topic-pick';
+        pick.textContent = node.name + ' (' + node.count + ')';
+        pick.setAttribute('data-state', state);
+        pick.title = { '': 'Click to include', include: 'Included; click to exclude', exclude: 'Excluded; click to clear' }[state];
+        pick.addEventListener('click', function () { cycle(node.path); });
+        row.appendChild(pick);
+        li.appendChild(row);
+        if (sub) {
+          node.children.forEach(function (n) { addItem(sub, n); });
+          li.appendChild(sub);
+        }
+        parent.appendChild(li);
+      };
+      tree.forEach(function (n) { addItem(list, n); });
+      if (!tree.length) {
+        var empty = document.createElement('li'); empty.className = 'muted'; empty.textContent = 'No topics in this deck.';
+        list.appendChild(empty);
+      }
+      host.appendChild(list);
+    }
+
+    var api = {
+      /**
+       * The current selection.
+       * @returns {{topics:string[],mode:'any'|'all',exclude:string[]}} Selection (a copy).
+       */
+      get: function () { return { topics: sel.topics.slice(), mode: sel.mode, exclude: sel.exclude.slice() }; },
+      /**
+       * Replaces the selection (e.g. from a preset) and remembers it; onChange is not called.
+       * @param {{topics?:string[],mode?:string,exclude?:string[]}} next - Selection.
+       * @returns {void}
+       */
+      set: function (next) {
+        sel = normaliseTopicSelection(next);
+        render();
+        try { localStorage.setItem(storeKey, JSON.stringify(sel)); } catch (_) {}
+      },
+      /**
+       * Describes the selection ("Any of A, B · not C").
+       * @returns {string} Description.
+       */
+      describe: function () { return describeTopicSelection(sel); },
+      render: render
+    };
+
+    // Counts and topics only change with the deck's cards, not with answers
+    on('topics:changed', render);
+    on('deck:loaded', render);
+    on('deck:changed', function (e) { if (!e || e.cause !== 'review') render(); });
+    render();
+    return api;
+  }
+
   // ---------- Optional: Single-card viewer helper ----------
 
   /**
@@ -677,7 +5100,8 @@
    * @param {{getFilters:Function,elements:{
    *  host:HTMLElement,count:HTMLElement,btnPrev?:HTMLElement,btnNext?:HTMLElement,btnPeek?:HTMLElement
    * }}} cfg - Configuration.
-   * @returns {{apply:Function,render:Function,prev:Function,next:Function,toggle:Function,index:number}} API.
+   * @returns {{apply:Function,render:Function,refresh:Function,prev:Function,next:Function,toggle:Function,index:number,
+   *   total:number}} API.
    */
   App.createSingleViewer = function ({ getFilters, elements }) {
     const esc = s => s ? String(s).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[m])) : '';
@@ -686,6 +5110,11 @@
 
     let revealAll = !!App.settings.get('showExplanationByDefault');
     let revealed = revealAll;
+    // Choice order of the MCQ on screen: drawn again each time a card is shown (or its choices change), kept while
+    // it is revealed
+    let shown = { id: null, choices: '', order: [] };
+    // Content of the card on screen, to tell edits made in another tab from answers
+    let shownKey = '';
 
     /**
      * Updates the label of the “Show Answer” button to reflect current reveal mode.
@@ -705,16 +5134,24 @@
       const topics = esc((c.topics || []).join(', '));
       const isRevealed = revealAll || revealed;
       if (c.type === 'mcq') {
-        const letters = ['A', 'B', 'C', 'D'];
-        const opts = (c.choices || []).map((t, i) => `<div><strong>${letters[i]}.</strong> ${esc(t || '')}</div>`).join('');
-        const correct = typeof c.correct === 'number' ? letters[c.correct] : (c.answer || 'A');
-        return `<div class="meta"><span class="badge">${topics}</span><span class="badge">MCQ</span></div>
+        const choices = JSON.stringify(c.choices || []);
+        if (shown.id !== c.id || shown.choices !== choices) shown = { id: c.id, choices, order: choiceOrder(c) };
+        const opts = shown.order.map((i, pos) => `<div><strong>${CHOICE_LETTERS[pos]}.</strong> ${esc(c.choices[i] || '')}</div>`).join('');
+        // Letters as shown, in the order shown
+        const correct = correctChoices(c).map(i => shown.order.indexOf(i)).filter(pos => pos >= 0).sort((a, b) => a - b)
+          .map(pos => CHOICE_LETTERS[pos]).join(', ');
+        return `<div class="meta"><span class="badge">${topics}</span><span class="badge">${isMultiAnswer(c) ? 'MCQ · select all' : 'MCQ'}</span></div>
           <div class="q">${esc(c.question || '')}</div>
           <div class="options" style="margin-top:6px">${opts}</div>
           <div class="answer" ${isRevealed ? '' : 'hidden'} style="margin-top:10px;">
             <em>Correct:</em> ${correct}${c.explanation ? `<div class="placeholder" style="margin-top:6px">${esc(c.explanation)}</div>` : ''}
           </div>`;
       }
+      if (c.type === 'cloze') {
+        return `<div class="meta"><span class="badge">${topics}</span><span class="badge">Cloze c${c.cloze}</span></div>
+          <div class="q">${clozeHTML(c.text, c.cloze, isRevealed)}</div>
+          ${c.explanation ? `<div class="answer placeholder" ${isRevealed ? '' : 'hidden'} style="margin-top:10px">${esc(c.explanation)}</div>` : ''}`;
+      }
       return `<div class="meta"><span class="badge">${topics}</span><span class="badge">Flashcard</span></div>
         <div class="q"><strong>Front</strong><div>${esc(c.front || '')}</div></div>
         <div class="answer" ${isRevealed ? '' : 'hidden'} style="margin-top:10px;">
@@ -731,6 +5168,7 @@
       filtered = App.filterDeck(getFilters());
       if (idx >= filtered.length) idx = Math.max(0, filtered.length - 1);
       revealed = revealAll;
+      shown.id = null;
       render();
     }
 
@@ -743,20 +5181,44 @@
       elements.count.textContent = total ? `${idx + 1} / ${total}` : '0 / 0';
       elements.host.classList.toggle('revealed', revealAll || revealed);
       elements.host.innerHTML = total ? cardHTML(filtered[idx]) : '<div class="placeholder">No cards match your filters.</div>';
+      shownKey = total ? cardContentKey(filtered[idx]) : '';
       if (window.MathJax?.typesetPromise) MathJax.typesetPromise([elements.host]);
     }
 
+    /**
+     * Follows a change made in another tab without refiltering: deleted cards leave the list, and the card on
+     * screen is redrawn (keeping its reveal and choice order) only if its content changed, not for answers.
+     * @param {{put:string[],del:string[]}} e - deck:changed payload.
+     * @returns {void}
+     */
+    function refresh(e) {
+      const cur = filtered[idx];
+      if (e.del.length) {
+        const gone = new Set(e.del);
+        filtered = filtered.filter(c => !gone.has(c.id));
+      }
+      const at = filtered.indexOf(cur);
+      if (at < 0) {
+        if (!cur) return;
+        idx = Math.min(idx, Math.max(0, filtered.length - 1)); revealed = revealAll; shown.id = null;
+        render();
+        return;
+      }
+      idx = at;
+      if (cardContentKey(cur) !== shownKey || e.del.length) render();
+    }
+
     /**
      * Navigates to the previous card if available.
      * @returns {void}
      */
-    function prev() { if (idx > 0) { idx--; revealed = revealAll; render(); } }
+    function prev() { if (idx > 0) { idx--; revealed = revealAll; shown.id = null; render(); } }
 
     /**
      * Navigates to the next card if available.
      * @returns {void}
      */
-    function next() { if (idx < filtered.length - 1) { idx++; revealed = revealAll; render(); } }
+    function next() { if (idx < filtered.length - 1) { idx++; revealed = revealAll; shown.id = null; render(); } }
 
     /**
      * Toggles the global reveal state and persists the setting.
@@ -776,8 +5238,9 @@
     App.registerPreviewShortcuts({ prev, next, toggle });
 
     const api = {
-      apply, render, prev, next, toggle,
+      apply, render, refresh, prev, next, toggle,
       get index() { return idx; },
+      get total() { return filtered.length; },
       set index(i) { idx = Math.max(0, Math.min(i, (filtered.length || 1) - 1)); revealed = revealAll; render(); }
     };
     api.apply();
@@ -791,7 +5254,8 @@
   var __importBindingsDone = false;
 
   /**
-   * Binds import/export/template/reset/clear actions in the shell panel.
+   * Binds deck picker, import/export/template/reset/clear actions in the shell panel.
+   * Import and Export act on the deck chosen in the "To/from" select.
    * Safely no-ops if the panel is not present.
    * @returns {void}
    */
@@ -802,139 +5266,257 @@
     if (!importBtn || !fileInput) return;
     __importBindingsDone = true;
 
+    initDeckBindings();
+
     importBtn.addEventListener('click', function () { fileInput.click(); });
     fileInput.addEventListener('change', function (ev) {
       var files = ev.target.files; if (!files || !files.length) return;
-      var pending = files.length; var collected = [];
-      var replace = document.getElementById('chk-replace-import')?.checked;
+      var pending = files.length; var raw = [];
 
+      var target = ioTarget();
+
+      // Parse once every file is read, in selection order, so duplicate ids are reported consistently
       function doneOne() {
         pending--;
-        if (pending === 0 && collected.length) {
-          if (replace) {
-            var fresh = newDeck(); fresh.createdAt = deck.createdAt;
-            setDeck(fresh);
-          }
-          upsertCards(collected);
-
-          // --- NEW: record file name + timestamp for the Overview header ---
-          var friendly = (files && files.length)
-            ? (files.length === 1 ? files[0].name : (files[0].name + ' +' + (files.length - 1) + ' more'))
-            : 'Imported deck';
-          App.setDeckMeta({ name: friendly, importedAt: Date.now() });
-          // ----------------------------------------------------------------
-
-          fileInput.value = '';
-        }
+        if (pending !== 0) return;
+        fileInput.value = '';
+        var report = newImportReport(), collected = [], collectedLog = [], collectedPresets = [];
+        raw.forEach(function (it) {
+          if (it.error) {
+            addIssue(report, 'error', { file: it.name }, it.error);
+          } else if (it.kind === 'xlsx') {
+            try {
+              collected = collected.concat(parseCardsFromXLSX(XLSX.read(it.data, { type: 'array' }), report, it.name));
+            } catch (e) { addIssue(report, 'error', { file: it.name }, 'Could not read workbook: ' + e.message); }
+          } else {
+            var parsed = parseCardsFromJSON(it.data, report, it.name);
+            collected = collected.concat(parsed.cards);
+            collectedLog = collectedLog.concat(parsed.reviewLog);
+            collectedPresets = collectedPresets.concat(parsed.presets);
+          }
+        });
+        if (!collected.length && !report.issues.length) { alert('No cards found in the selected file(s).'); return; }
+        // --- NEW: record file name + timestamp for the Overview header ---
+        var friendly = (files && files.length)
+          ? (files.length === 1 ? files[0].name : (files[0].name + ' +' + (files.length - 1) + ' more'))
+          : 'Imported deck';
+        importWithPreview(collected, collectedLog, target, friendly, report, collectedPresets)
+          .catch(function (e) { console.error('Import failed', e); alert('Import failed: ' + e.message); });
       }
 
       for (var i = 0; i < files.length; i++) {
-        (function (f) {
-          if (/\.xlsx$/i.test(f.name)) {
-            var r1 = new FileReader();
-            r1.onload = function () {
-              try {
-                var data = new Uint8Array(r1.result);
-                var wb = XLSX.read(data, { type: 'array' });
-                var arr = parseCardsFromXLSX(wb);
-                if (arr && arr.length) collected = collected.concat(arr);
-              } catch (e) { console.error('XLSX import error in ' + f.name, e); }
-              doneOne();
-            };
-            r1.readAsArrayBuffer(f);
-          } else if (/\.json$/i.test(f.name)) {
-            var r2 = new FileReader();
-            r2.onload = function () {
-              try {
-                var txt = r2.result || '';
-                var d = JSON.parse(txt);
-                if (d && d.cards) collected = collected.concat(d.cards.map(hydrateCard));
-                else if (Array.isArray(d)) collected = collected.concat(d.map(hydrateCard));
-              } catch (e) { console.error('JSON import error in ' + f.name, e); }
-              doneOne();
-            };
-            r2.readAsText(f);
-          } else {
-            console.warn('Unsupported file type (use .xlsx or .json):', f.name);
+        (function (f, i) {
+          raw[i] = { name: f.name };
+          var isXLSX = /\.xlsx$/i.test(f.name);
+          if (!isXLSX && !/\.json$/i.test(f.name)) {
+            raw[i].error = 'Unsupported file type (use .xlsx or .json)';
             doneOne();
+            return;
           }
-        })(files[i]);
+          if (isXLSX && !window.XLSX) { raw[i].error = 'SheetJS not loaded'; doneOne(); return; }
+          var r = new FileReader();
+          r.onload = function () {
+            raw[i].kind = isXLSX ? 'xlsx' : 'json';
+            raw[i].data = isXLSX ? new Uint8Array(r.result) : (r.result || '');
+            doneOne();
+          };
+          r.onerror = function () { raw[i].error = 'Could not read file'; doneOne(); };
+          if (isXLSX) r.readAsArrayBuffer(f); else r.readAsText(f);
+        })(files[i], i);
       }
     });
 
-    document.getElementById('btn-export')?.addEventListener('click', exportJSON);
+    document.getElementById('btn-export')?.addEventListener('click', function () { exportJSON(exportTarget()); });
     document.getElementById('btn-template-xlsx')?.addEventListener('click', function () {
       if (!window.XLSX) { alert('SheetJS not loaded'); return; }
       var wb = makeTemplateWorkbook();
       var buf = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
       downloadBlob('deck_template.xlsx', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', buf);
     });
-    document.getElementById('btn-export-xlsx')?.addEventListener('click', exportXLSX);
+    document.getElementById('btn-export-xlsx')?.addEventListener('click', function () { exportXLSX(exportTarget()); });
 
     document.getElementById('btn-reset')?.addEventListener('click', function () {
-      if (confirm('Reset all stats?')) {
+      if (confirm('Reset all stats in "' + deck.name + '"?')) {
         deck.cards.forEach(function (c) { c.stats = initStats(); c.sr = initSR(); });
-        persist();
+        persist(undefined, { label: 'Reset stats', toast: 'Stats reset in "' + deck.name + '".' });
       }
     });
     document.getElementById('btn-clear')?.addEventListener('click', function () {
-      if (!confirm('Delete ALL cards and progress? This cannot be undone.')) return;
-      deck = newDeck();
-      localStorage.setItem(KEY, JSON.stringify(deck));
+      if (!confirm('Delete ALL cards and progress in "' + deck.name + '"?')) return;
+      var history = {
+        label: 'Clear deck', toast: 'Deck cleared. Add cards via Import (Excel/JSON).',
+        reviews: { added: [], removed: reviewLog.slice() }, meta: { before: App.deckMeta, after: null }
+      };
+      deck = newDeck(deck.id, deck.name);
+      App.reviewLog.clear();
       App.setDeckMeta(null); // NEW: clear filename/date meta
-      safe(updateOverview); safe(renderTopics); safe(renderReview);
-      alert('Deck cleared. Add cards via Import (Excel/JSON).');
+      persist(undefined, history);
     });
+
+    initHistoryBindings();
   };
 
   // ---------- Study page binder (if those elements exist) ----------
 
-  /** @type {{pool:object[],idx:number,correct:number,wrongs:object[]}} */
-  var session = { pool: [], idx: 0, correct: 0, wrongs: [] };
+  /**
+   * The running study session. `answers` lists every graded attempt with the pool position it was given at;
+   * `record` is the stored session record (none for a Redo wrongs pass, `redo`) and `report` is built when the last
+   * card is answered.
+   * @type {{pool:object[],idx:number,correct:number,wrongs:object[],answers:object[],mode:string,startedAt:number,
+   *   shownAt?:number,finished?:boolean,record?:object,redo?:boolean,report?:object}}
+   */
+  var session = newSession([]);
+
+  // Meta key (per deck) of the saved unfinished session
+  var SESSION_META_PREFIX = 'session:';
 
   /**
-   * Reads selected topics from the UI (chips or legacy list).
-   * @returns {string[]|null} Array of topics, or null for "all".
+   * Creates a session over a pool of cards, in the current study mode.
+   * @param {object[]} pool - Cards in order.
+   * @returns {object} Session.
    */
-  function readSelectedTopics() {
-    var host = $('#topic-list'); if (!host) return null;
-    if (host.tagName === 'UL') {
-      var active = host.querySelector('li.active');
-      var val = active ? active.getAttribute('data-topic') : '__ALL__';
-      return (val && val !== '__ALL__') ? [val] : null;
+  function newSession(pool) {
+    return { pool: pool, idx: 0, correct: 0, wrongs: [], answers: [], mode: currentMode(), startedAt: nowMs() };
+  }
+
+  /**
+   * Saves the running session (card IDs, position, answers, repeat queue) so it can be resumed after a reload.
+   * A finished or empty session removes the saved one.
+   * @returns {void}
+   */
+  function saveSession() {
+    if (!Store || !Store.putMeta) return;
+    var key = SESSION_META_PREFIX + deck.id;
+    if (!session.pool.length || session.idx >= session.pool.length) {
+      if (session.saved) { session.saved = false; trackWrite(Store.putMeta(key, null)); }
+      return;
     }
-    var boxes = host.querySelectorAll('input[name="topics"]:checked');
-    var arr = Array.prototype.map.call(boxes, function (n) { return n.value; });
-    return arr.length ? arr : null;
+    var ids = function (cards) { return cards.map(function (c) { return c.id; }); };
+    session.saved = true;
+    trackWrite(Store.putMeta(key, {
+      deckId: deck.id, mode: session.mode, startedAt: session.startedAt, savedAt: nowMs(),
+      pool: ids(session.pool), idx: session.idx, wrongs: ids(session.wrongs), answers: session.answers.slice(),
+      record: session.record || null, redo: !!session.redo, reasons: session.reasons || null, seed: session.seed
+    }));
   }
 
   /**
-   * Builds the working set of cards for a session based on UI controls.
-   * @returns {object[]} The session pool.
+   * Loads the active deck's saved session and maps it onto the current cards. Cards deleted since are
+   * dropped (keeping the position on the same next card), edited cards are used as they are now, and a
+   * card that was already answered when the page closed is skipped.
+   * @returns {Promise<object|null>} Session ready to resume, or null if none is left to do.
+   */
+  function loadSavedSession() {
+    if (!Store || !Store.getMeta) return Promise.resolve(null);
+    return Store.getMeta(SESSION_META_PREFIX + deck.id).then(function (saved) {
+      if (!saved || !Array.isArray(saved.pool)) return null;
+      var byId = {};
+      deck.cards.forEach(function (c) { byId[c.id] = c; });
+      var idx = saved.pool.slice(0, saved.idx).filter(function (id) { return byId[id]; }).length;
+      if (byId[saved.pool[saved.idx]] && (saved.answers || []).some(function (a) { return a.idx === saved.idx; })) idx += 1;
+      var pool = saved.pool.filter(function (id) { return byId[id]; }).map(function (id) { return byId[id]; });
+      if (idx >= pool.length) return null;
+      var answers = (saved.answers || []).filter(function (a) { return byId[a.id]; });
+      return Object.assign(newSession(pool), {
+        idx: idx,
+        mode: saved.mode || 'learn',
+        startedAt: saved.startedAt || nowMs(),
+        wrongs: (saved.wrongs || []).filter(function (id) { return byId[id]; }).map(function (id) { return byId[id]; }),
+        answers: answers,
+        correct: answers.filter(function (a) { return a.correct; }).length,
+        record: saved.record || null,
+        redo: !!saved.redo,
+        reasons: saved.reasons || null,
+        seed: saved.seed,
+        saved: true
+      });
+    }).catch(function (e) { console.warn('Could not load the saved session', e); return null; });
+  }
+
+  /**
+   * Continues a session returned by loadSavedSession.
+   * @param {object} saved - Session.
+   * @returns {void}
+   */
+  function resumeSession(saved) {
+    session = saved;
+    emit('session:started', { size: session.pool.length, mode: session.mode, resumed: true });
+    $('#session-resume')?.setAttribute('hidden', 'hidden');
+    $('#session-empty')?.setAttribute('hidden', 'hidden');
+    $('#session-ui')?.removeAttribute('hidden');
+    $('#sess-total') && ($('#sess-total').textContent = session.pool.length);
+    renderCard();
+  }
+
+  /**
+   * Offers to resume the active deck's unfinished session (if any) from the empty session panel.
+   * @param {Function} setMode - Switches the page to the session's mode.
+   * @returns {Promise<void>} Resolves once the offer is shown or there is nothing to offer.
+   */
+  function offerResume(setMode) {
+    var box = $('#session-resume'); if (!box) return Promise.resolve();
+    return loadSavedSession().then(function (saved) {
+      if (!saved) return;
+      var btn = $('#btn-resume');
+      btn.textContent = 'Resume session (' + saved.idx + '/' + saved.pool.length + ')';
+      btn.onclick = function () { setMode(saved.mode); resumeSession(saved); };
+      $('#btn-discard-session').onclick = function () {
+        box.setAttribute('hidden', 'hidden');
+        trackWrite(Store.putMeta(SESSION_META_PREFIX + deck.id, null));
+      };
+      box.removeAttribute('hidden');
+    });
+  }
+
+  /**
+   * Reads the topic selection from the #topic-list picker.
+   * @returns {{topics:string[],mode:'any'|'all',exclude:string[]}} Selection (no topics means all).
+   */
+  function readSelectedTopics() {
+    if (!sessionTopicPicker) renderTopics();
+    return sessionTopicPicker ? sessionTopicPicker.get() : normaliseTopicSelection();
+  }
+
+  /**
+   * Reads the session filters from the UI controls.
+   * @returns {{allowMCQ:boolean,allowFlash:boolean,wrongOnly:boolean,shuffle:boolean,mix:boolean,size:number,
+   *   topics:string[]|null,topicMode:'any'|'all',excludeTopics:string[]}}
    */
-  function buildWorkingSet() {
+  function readSessionFilters() {
     // new ids (fall back to legacy ones if absent)
-    var allowMCQ   = ($('#inc-mcq')?.checked ?? $('#chk-mcq')?.checked) ?? true;
-    var allowFlash = ($('#inc-flashcards')?.checked ?? $('#chk-flash')?.checked) ?? true;
-    var wrongOnly  = ($('#wrong-only')?.checked ?? $('#chk-wrong')?.checked) ?? false;
-    var shuffle    = ($('#shuffle')?.checked ?? $('#chk-shuffle')?.checked) ?? false;
-    var sizeVal    = $('#session-size')?.value || $('#inp-size')?.value || '20';
-    var size       = Math.max(1, parseInt(sizeVal, 10) || 20);
+    var sizeVal = $('#session-size')?.value || $('#inp-size')?.value || '20';
+    var sel = readSelectedTopics();
+    return {
+      allowMCQ:   ($('#inc-mcq')?.checked ?? $('#chk-mcq')?.checked) ?? true,
+      allowFlash: ($('#inc-flashcards')?.checked ?? $('#chk-flash')?.checked) ?? true,
+      wrongOnly:  ($('#wrong-only')?.checked ?? $('#chk-wrong')?.checked) ?? false,
+      shuffle:    ($('#shuffle')?.checked ?? $('#chk-shuffle')?.checked) ?? false,
+      mix:        $('#mix')?.checked ?? false, // compose a balanced mix (see composeSession)
+      size:       Math.max(1, parseInt(sizeVal, 10) || 20),
+      topics:     sel.topics.length ? sel.topics : null, // null => all
+      topicMode:  sel.mode,
+      excludeTopics: sel.exclude
+    };
+  }
 
-    var selectedTopics = readSelectedTopics(); // null => all
+  /**
+   * Builds the working set of cards for a session based on UI controls.
+   * @param {object} [f] - Filters (default: readSessionFilters()).
+   * @returns {object[]} The session pool.
+   */
+  function buildWorkingSet(f) {
+    f = f || readSessionFilters();
+    var allowMCQ = f.allowMCQ, allowFlash = f.allowFlash, wrongOnly = f.wrongOnly, shuffle = f.shuffle, size = f.size;
+    var topics = normaliseTopicSelection({ topics: f.topics, mode: f.topicMode, exclude: f.excludeTopics });
 
+    var now = nowMs();
     var base = deck.cards.filter(function (c) {
-      return (c.type === 'mcq' && allowMCQ) || (c.type === 'flashcard' && allowFlash);
+      if (!isStudyable(c, now)) return false;
+      // Cloze cards are studied like flashcards
+      return c.type === 'mcq' ? allowMCQ : allowFlash;
     });
 
-    if (selectedTopics) {
-      var set = new Set(selectedTopics);
-      base = base.filter(function (c) {
-        var topics = c.topics || [];
-        for (var i = 0; i < topics.length; i++) if (set.has(topics[i])) return true;
-        return false;
-      });
-    }
+    base = base.filter(function (c) { return matchesTopicSelection(c, topics); });
 
     var pool = wrongOnly ? base.filter(function (c) { return c.stats.correct < c.stats.seen; }) : base;
     if (shuffle) pool = fisherYates(pool);
@@ -948,43 +5530,74 @@
    */
   function renderCard() {
     var i = session.idx; var total = session.pool.length; var c = session.pool[i];
+    saveSession();
     $('#sess-idx') && ($('#sess-idx').textContent = i + 1);
     $('#sess-correct') && ($('#sess-correct').textContent = session.correct);
     $('#meter-progress') && ($('#meter-progress').style.width = Math.round(100 * i / Math.max(1, total)) + '%');
     var host = $('#card'); if (!host) return;
 
     if (!c) {
+      if (total && !session.finished) {
+        session.finished = true;
+        session.report = buildSessionReport(session);
+        emit('session:finished', { size: total, correct: session.correct, wrong: session.wrongs.length, mode: session.mode });
+        storeSessionReport(session);
+      }
       host.innerHTML =
         '<p><strong>Session complete.</strong> Score: ' + session.correct + '/' + total + '</p>' +
         (session.wrongs.length
           ? '<p>You missed ' + session.wrongs.length + '.</p><div class="row"><button id="btn-redo-wrongs" class="btn primary">Redo wrongs</button> <button id="btn-new-session" class="btn">New session</button></div>'
-          : '<div class="row"><button id="btn-new-session" class="btn">New session</button></div>');
+          : '<div class="row"><button id="btn-new-session" class="btn">New session</button></div>') +
+        (session.report ? sessionReportHTML(session.report) : '');
       $('#btn-redo-wrongs')?.addEventListener('click', function () {
-        session = { pool: session.wrongs.slice(), idx: 0, correct: 0, wrongs: [] };
-        $('#sess-total') && ($('#sess-total').textContent = session.pool.length);
-        renderCard();
+        startSessionFromPool(session.wrongs.slice(), null, null, true);
       });
       $('#btn-new-session')?.addEventListener('click', startSession);
+      $$('#card [data-report]').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          var rec = session.record || { deckId: deck.id, startedAt: session.startedAt, filters: { label: 'Redo wrongs' } };
+          downloadSessionReport(Object.assign({}, rec, { report: session.report }), btn.getAttribute('data-report'));
+        });
+      });
       typesetMath(host);
       return;
     }
 
+    session.shownAt = nowMs();
+
     if (c.type === 'mcq') {
       var html = '';
       html += '<div class="badge">' + escapeHTML((c.topics || []).join(', ') || '') + '</div>';
+      html += pickReasonHTML(c);
+      var multi = isMultiAnswer(c);
       html += '<h3>' + escapeHTML(c.question || '') + '</h3>';
+      if (multi) html += '<p class="muted">Select all that apply' + (c.scoring === 'partial' ? ' (partial credit)' : '') + '.</p>';
       html += '<div class="choices">';
-      var letters = ['A', 'B', 'C', 'D'];
-      for (var ii = 0; ii < 4; ii++) {
-        var txt = c.choices[ii] || '';
-        html += '<button class="choice" data-letter="' + letters[ii] + '"><strong>' + letters[ii] + ')</strong> ' + escapeHTML(txt) + '</button>';
-      }
+      // Redrawing the same card (e.g. after an edit in another tab) keeps the attempt's choice order
+      if (!session.shown || session.shown.idx !== i || session.shown.id !== c.id) session.shown = { idx: i, id: c.id, order: choiceOrder(c) };
+      session.shown.order.forEach(function (ci, pos) {
+        html += '<button class="choice" data-choice="' + ci + '"' + (multi ? ' aria-pressed="false"' : '') + '><strong>' +
+          CHOICE_LETTERS[pos] + ')</strong> ' + escapeHTML(c.choices[ci] || '') + '</button>';
+      });
       html += '</div>';
+      if (multi) html += '<div class="field"><button id="btn-check" class="btn primary" disabled>Check answer</button></div>';
       html += '<p id="explain" class="placeholder" style="display:none"></p>';
       html += '<div class="field"><button id="btn-repeat" class="btn">Repeat later</button> <button id="btn-next-inline" class="btn">Next</button></div>';
+      html += cardStateBarHTML(c);
       host.innerHTML = html;
+      bindCardStateBar(c);
       $$('#card .choice').forEach(function (btn) {
-        btn.addEventListener('click', function () { gradeMCQ(c, btn.getAttribute('data-letter')); });
+        btn.addEventListener('click', function () {
+          if (!multi) { gradeMCQ(c, Number(btn.getAttribute('data-choice'))); return; }
+          // Select-all-that-apply: choices toggle until the answer is checked
+          var on = !btn.classList.contains('selected');
+          btn.classList.toggle('selected', on);
+          btn.setAttribute('aria-pressed', String(on));
+          $('#btn-check').disabled = !$$('#card .choice.selected').length;
+        });
+      });
+      $('#btn-check')?.addEventListener('click', function () {
+        gradeMCQ(c, $$('#card .choice.selected').map(function (b) { return Number(b.getAttribute('data-choice')); }));
       });
       $('#btn-repeat')?.addEventListener('click', function () { enqueueForRepeat(c); nextCard(); });
       $('#btn-next-inline')?.addEventListener('click', function () { nextCard(); });
@@ -992,91 +5605,237 @@
     } else {
       var html2 = '';
       html2 += '<div class="badge">' + escapeHTML((c.topics || []).join(', ') || '') + '</div>';
+      html2 += pickReasonHTML(c);
       html2 += '<div class="flash">';
-      html2 += '<div class="face"><strong>Front</strong><div>' + escapeHTML(c.front || '') + '</div></div>';
-      html2 += '<div class="face" id="face-back" style="display:none"><strong>Back</strong><div>' + escapeHTML(c.back || '') + '</div></div>';
+      if (c.type === 'cloze') {
+        html2 += '<div class="face"><strong>Cloze</strong><div>' + clozeHTML(c.text, c.cloze) + '</div></div>';
+        html2 += '<div class="face" id="face-back" style="display:none"><strong>Answer</strong><div>' + clozeHTML(c.text, c.cloze, true) + '</div></div>';
+      } else {
+        html2 += '<div class="face"><strong>Front</strong><div>' + escapeHTML(c.front || '') + '</div></div>';
+        html2 += '<div class="face" id="face-back" style="display:none"><strong>Back</strong><div>' + escapeHTML(c.back || '') + '</div></div>';
+      }
       html2 += '</div>';
       html2 += '<div class="field">' +
-        '<button id="btn-flip" class="btn">Flip</button> ' +
-        '<button id="btn-got" class="btn">Got it</button> ' +
-        '<button id="btn-miss" class="btn">Missed</button> ' +
+        '<button id="btn-flip" class="btn">' + (c.type === 'cloze' ? 'Show answer' : 'Flip') + '</button> ' +
+        gradeButtonsHTML(c) +
         '<button id="btn-repeat-f" class="btn">Repeat later</button>' +
         '</div>';
       if (c.explanation) { html2 += '<p class="placeholder">' + escapeHTML(c.explanation) + '</p>'; }
+      html2 += cardStateBarHTML(c);
       host.innerHTML = html2;
+      bindCardStateBar(c);
       if (App.settings.get('showExplanationByDefault')) {
         var back = $('#face-back'); if (back) back.style.display = 'block';
       }
       $('#btn-flip')?.addEventListener('click', function () {
         var back = $('#face-back'); back.style.display = (back.style.display === 'none' ? 'block' : 'none'); typesetMath(host);
       });
-      $('#btn-got')?.addEventListener('click', function () {
-        record(c, true); session.correct += 1;
-        if (App.settings.get('autoAdvanceOnCorrect') && session.idx < session.pool.length - 1) {
-          setTimeout(nextCard, 300);
-        } else {
-          nextCard();
-        }
+      $$('#card .grade').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          var g = btn.getAttribute('data-grade');
+          record(c, g);
+          if (g === 'again') { session.wrongs.push(c); enqueueForRepeat(c); nextCard(); return; }
+          session.correct += 1;
+          if (App.settings.get('autoAdvanceOnCorrect') && session.idx < session.pool.length - 1) {
+            setTimeout(nextCard, 300);
+          } else {
+            nextCard();
+          }
+        });
       });
-      $('#btn-miss')?.addEventListener('click', function () { record(c, false); session.wrongs.push(c); enqueueForRepeat(c); nextCard(); });
       $('#btn-repeat-f')?.addEventListener('click', function () { enqueueForRepeat(c); nextCard(); });
       typesetMath(host);
     }
   }
 
+  /**
+   * Says why the composer picked a card, for sessions it built (see composeSession).
+   * @param {object} c - Card.
+   * @returns {string} HTML string ('' for other sessions).
+   */
+  function pickReasonHTML(c) {
+    var reasons = session.reasons && session.reasons[c.id];
+    return reasons ? '<p class="pick-reason muted">Picked for: ' + escapeHTML(reasons.join(', ')) + '</p>' : '';
+  }
+
+  /**
+   * Formats an interval in days as a short label.
+   * @param {number} days - Interval in days (0 = relearn today).
+   * @returns {string} Label such as "10m", "3d", "2mo" or "1.5y".
+   */
+  function formatInterval(days) {
+    if (!days) return '10m';
+    if (days < 30) return days + 'd';
+    if (days < 365) return Math.round(days / 30) + 'mo';
+    return (Math.round(days / 36.5) / 10) + 'y';
+  }
+
+  /**
+   * Returns the Again/Hard/Good/Easy button row for a card, labelled with the
+   * interval each grade would schedule.
+   * @param {object} c - Card.
+   * @returns {string} HTML string.
+   */
+  function gradeButtonsHTML(c) {
+    var preview = Scheduler.preview(c.sr);
+    var ids = { again: 'btn-miss', good: 'btn-got' };
+    var labels = { again: 'Again', hard: 'Hard', good: 'Good', easy: 'Easy' };
+    return GRADES.map(function (g) {
+      return '<button' + (ids[g] ? ' id="' + ids[g] + '"' : '') + ' class="btn grade" data-grade="' + g + '">' +
+        labels[g] + ' <span class="muted">' + formatInterval(preview[g]) + '</span></button> ';
+    }).join('');
+  }
+
+  /**
+   * Returns the flag / bury / suspend controls shown under a session card.
+   * @param {object} c - Card.
+   * @returns {string} HTML string.
+   */
+  function cardStateBarHTML(c) {
+    var flag = c.state.flag;
+    return '<div class="card-state row gap-2 wrap center">' +
+      '<select class="input card-flag" aria-label="Flag colour" style="width:auto">' +
+      '<option value="">No flag</option>' + FLAG_COLORS.map(function (col) {
+        return '<option value="' + col + '"' + (flag && flag.color === col ? ' selected' : '') + '>Flag: ' + col + '</option>';
+      }).join('') + '</select>' +
+      '<button type="button" class="btn small" data-card-state="note"' + (flag && flag.note ? ' title="' + escapeHTML(flag.note) + '"' : '') + '>' +
+      (flag && flag.note ? 'Edit note' : 'Note…') + '</button>' +
+      '<button type="button" class="btn small" data-card-state="bury" title="Skip this card until tomorrow">Bury</button>' +
+      '<button type="button" class="btn small" data-card-state="suspend" title="Take this card out of study until unsuspended in the editor">Suspend</button>' +
+      (c.state.leech ? '<span class="badge leech">Leech</span>' : '') +
+      '</div>';
+  }
+
+  /**
+   * Wires the controls from cardStateBarHTML. Burying or suspending takes the card out of the session.
+   * @param {object} c - Card.
+   * @returns {void}
+   */
+  function bindCardStateBar(c) {
+    var flagSel = $('#card .card-flag');
+    flagSel?.addEventListener('change', function () {
+      var note = c.state.flag ? c.state.flag.note : '';
+      setCardState([c.id], { flag: flagSel.value || note ? { color: flagSel.value, note: note } : null }, 'Flag card');
+    });
+    $$('#card [data-card-state]').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var action = btn.getAttribute('data-card-state');
+        if (action === 'note') {
+          var note = prompt('Note for card ' + c.id + ' (empty to remove)', c.state.flag ? c.state.flag.note : '');
+          if (note === null) return;
+          var color = c.state.flag ? c.state.flag.color : '';
+          setCardState([c.id], { flag: note.trim() || color ? { color: color, note: note.trim() } : null }, 'Flag card');
+          renderCard();
+          return;
+        }
+        if (action === 'bury') {
+          var until = new Date(); until.setHours(0, 0, 0, 0); until.setDate(until.getDate() + 1);
+          setCardState([c.id], { buriedUntil: until.getTime() }, { label: 'Bury card', toast: 'Card ' + c.id + ' buried until tomorrow.' });
+        } else {
+          setCardState([c.id], { suspended: true }, { label: 'Suspend card', toast: 'Card ' + c.id + ' suspended.' });
+        }
+        dropFromSession([c.id]);
+      });
+    });
+  }
+
   /**
    * Grades an MCQ answer, updates UI and spaced repetition.
+   * A fully right answer is graded Good; a partial-credit answer worth at least half is graded Hard (and counts as
+   * correct); anything less is graded Again.
    * @param {object} c - Card.
-   * @param {string} letter - Selected letter A-D.
+   * @param {number|number[]} chosen - Stored index(es) of the chosen choice(s) (not their shown positions).
    * @returns {void}
    */
-  function gradeMCQ(c, letter) {
-    var letters = ['A', 'B', 'C', 'D'];
-    var chosenIdx = letters.indexOf(letter);
-    var isCorrect = (typeof c.correct === 'number') ? (chosenIdx === c.correct) : (letter === (c.answer || 'A'));
-    record(c, isCorrect);
+  function gradeMCQ(c, chosen) {
+    var right = correctChoices(c);
+    var picks = [].concat(chosen).sort(function (a, b) { return a - b; });
+    var credit = scoreMCQ(c, isMultiAnswer(c) ? picks : chosen);
+    var grade = creditGrade(credit);
+    // Partial credit eases the schedule (Hard) but is not a correct answer
+    var isCorrect = credit >= 1;
+    // Logged as the stored choices' letters, whatever positions they were shown in
+    record(c, grade, choiceLetters(picks), credit);
     if (isCorrect) session.correct += 1; else session.wrongs.push(c);
+    saveSession();
     $$('#card .choice').forEach(function (btn) {
       btn.setAttribute('disabled', 'disabled');
-      var L = btn.getAttribute('data-letter');
-      var okLetter = typeof c.correct === 'number' ? letters[c.correct] : (c.answer || 'A');
-      if (L === okLetter) { btn.className += ' correct'; }
-      if (L === letter && !isCorrect) { btn.className += ' incorrect'; }
+      var ci = Number(btn.getAttribute('data-choice'));
+      if (right.indexOf(ci) >= 0) { btn.className += ' correct'; }
+      if (picks.indexOf(ci) >= 0 && right.indexOf(ci) < 0) { btn.className += ' incorrect'; }
     });
-    var exp = $('#explain'); if (c.explanation) { exp.textContent = c.explanation; exp.style.display = 'block'; }
-    if (isCorrect && App.settings.get('autoAdvanceOnCorrect')) {
+    $('#btn-check')?.setAttribute('disabled', 'disabled');
+    var exp = $('#explain');
+    var note = credit > 0 && credit < 1 ? 'Partly right: ' + Math.round(100 * credit) + '% credit.' : '';
+    if (c.explanation || note) { exp.textContent = [note, c.explanation || ''].filter(Boolean).join(' '); exp.style.display = 'block'; }
+    if (credit >= 1 && App.settings.get('autoAdvanceOnCorrect')) {
       if (session.idx < session.pool.length - 1) setTimeout(nextCard, 450);
     }
   }
 
   /**
-   * Records an attempt result on a specific card and updates SR scheduling.
+   * Records an attempt result on a specific card, logs it with the time since the card
+   * was shown, and updates SR scheduling.
    * @param {object} c - Card.
-   * @param {boolean} isCorrect - Whether the response was correct.
+   * @param {boolean|number|string} grade - Grade or legacy boolean.
+   * @param {string} [answer] - Answer given (e.g. the MCQ letter); defaults to the grade.
+   * @param {number} [credit] - MCQ credit (0-1); below 1 the answer is not counted as correct.
    * @returns {void}
    */
-  function record(c, isCorrect) {
-    c.stats.seen += 1;
-    if (isCorrect) { c.stats.correct += 1; c.stats.streak += 1; } else { c.stats.streak = 0; }
-    c.stats.lastSeen = nowISO();
-    var stepIdx = Math.min(c.stats.streak, SR_STEPS.length - 1);
-       var days = SR_STEPS[stepIdx];
-    c.sr.intervalDays = days;
-    c.sr.lastReviewed = nowMs();
-    c.sr.nextDue = c.sr.lastReviewed + days * 24 * 3600 * 1000;
-    persist();
+  function record(c, grade, answer, credit) {
+    var before = (c.sr && c.sr.intervalDays) || 0;
+    var ms = session.shownAt ? nowMs() - session.shownAt : undefined;
+    var g = applyReview(c, grade, { answer: answer, ms: ms, credit: credit });
+    session.answers.push({
+      idx: session.idx, id: c.id, answer: answer != null ? String(answer) : g, correct: g !== 'again' && !(credit < 1),
+      grade: g, ms: ms, ivlBefore: before, ivlAfter: c.sr.intervalDays
+    });
+    // A leech suspended by this answer is not asked again in this session
+    if (!isStudyable(c)) {
+      session.pool = session.pool.filter(function (x, i) { return i <= session.idx || x !== c; });
+      $('#sess-total') && ($('#sess-total').textContent = session.pool.length);
+    }
+    persist({ put: [c], cause: 'review' });
   }
 
   /**
-   * Queues a card to be repeated later in the session.
+   * Queues a card to be repeated later in the session (unless it was suspended, e.g. as a leech).
    * @param {object} c - Card.
    * @returns {void}
    */
   function enqueueForRepeat(c) {
+    if (!isStudyable(c)) return;
     session.pool.push(c);
     $('#sess-total') && ($('#sess-total').textContent = session.pool.length);
   }
 
+  /**
+   * Redraws the overview, topic list and review panel after the deck changes.
+   * @returns {void}
+   */
+  function refreshStudyViews() {
+    safe(updateOverview); safe(renderTopics); safe(renderReview);
+  }
+
+  /**
+   * Removes cards deleted in another tab (or by undo/redo) from the running session. The card on screen is
+   * only redrawn if it was one of them.
+   * @param {string[]} ids - Deleted card IDs.
+   * @returns {void}
+   */
+  function dropFromSession(ids) {
+    var gone = new Set(ids);
+    var current = session.pool[session.idx];
+    var pool = session.pool.filter(function (c) { return !gone.has(c.id); });
+    if (pool.length === session.pool.length) return;
+    session.idx = session.pool.slice(0, session.idx).filter(function (c) { return !gone.has(c.id); }).length;
+    session.pool = pool;
+    session.wrongs = session.wrongs.filter(function (c) { return !gone.has(c.id); });
+    $('#sess-total') && ($('#sess-total').textContent = pool.length);
+    if (current && gone.has(current.id)) renderCard();
+    else { $('#sess-idx') && ($('#sess-idx').textContent = session.idx + 1); saveSession(); }
+  }
+
   /**
    * Advances to the next card or completes the session.
    * @returns {void}
@@ -1093,6 +5852,9 @@
    */
   App.initStudyPage = function () {
     updateOverview(); renderTopics(); renderReview();
+    on('deck:changed', refreshStudyViews);
+    on('deck:loaded', refreshStudyViews);
+    on('deck:changed', function (e) { if (e.cause !== 'edit' && e.cause !== 'review' && e.del.length) dropFromSession(e.del); });
 
     // Learn buttons
     $('#btn-start')?.addEventListener('click', startSession);
@@ -1103,6 +5865,7 @@
     // Settings checkboxes
     var chkShowExp = $('#opt-show-exp');
     var chkAutoAdv = $('#opt-auto-adv');
+    var chkShuffleChoices = $('#opt-shuffle-choices');
     if (chkShowExp) {
       chkShowExp.checked = !!App.settings.get('showExplanationByDefault');
       chkShowExp.addEventListener('change', () => App.settings.set('showExplanationByDefault', chkShowExp.checked));
@@ -1111,6 +5874,21 @@
       chkAutoAdv.checked = !!App.settings.get('autoAdvanceOnCorrect');
       chkAutoAdv.addEventListener('change', () => App.settings.set('autoAdvanceOnCorrect', chkAutoAdv.checked));
     }
+    if (chkShuffleChoices) {
+      chkShuffleChoices.checked = !!App.settings.get('shuffleChoices');
+      chkShuffleChoices.addEventListener('change', () => App.settings.set('shuffleChoices', chkShuffleChoices.checked));
+    }
+
+    // Scheduler settings
+    [['#opt-max-interval', 'maxIntervalDays'], ['#opt-fuzz', 'fuzzPercent'], ['#opt-leech-threshold', 'leechThreshold'],
+      ['#opt-leech-action', 'leechAction'], ['#opt-new-per-session', 'newCardsPerSession']].forEach(function (pair) {
+      var inp = $(pair[0]); if (!inp) return;
+      inp.value = App.settings.get(pair[1]);
+      inp.addEventListener('change', function () {
+        App.settings.set(pair[1], inp.value);
+        inp.value = App.settings.get(pair[1]);
+      });
+    });
 
     // Tabs
     const tabLearn = $('#tab-learn');
@@ -1137,6 +5915,9 @@
 
     tabLearn?.addEventListener('click', () => setMode('learn'));
     tabTest?.addEventListener('click', () => setMode('test'));
+
+    initExamBindings();
+    offerResume(setMode);
   };
 
   /**
@@ -1144,92 +5925,587 @@
    * @returns {void}
    */
   function startSession() {
-    var pool = buildWorkingSet();
+    var f = readSessionFilters();
+    var composed = f.mix ? composeSession(buildWorkingSet(Object.assign({}, f, { shuffle: false, size: Infinity })), { count: f.size }) : null;
+    var pool = composed ? composed.pool : buildWorkingSet(f);
     if (!pool.length) { alert('No cards match your filters.'); return; }
-    startSessionFromPool(pool);
+    var values = topicFilterValues({
+      topics: null,
+      type: f.allowMCQ === f.allowFlash ? '' : (f.allowMCQ ? 'mcq' : 'flashcard'),
+      wrongOnly: !!f.wrongOnly
+    }, normaliseTopicSelection({ topics: f.topics, mode: f.topicMode, exclude: f.excludeTopics }));
+    var filters = describeFilters(values);
+    // The flashcard checkbox also takes cloze cards; the key stays 'flashcard' so these sessions still compare with
+    // the ones recorded before there were cloze cards
+    if (values.type === 'flashcard') filters.label = describeFilters(Object.assign({}, values, { type: 'recall' })).label;
+    startSessionFromPool(pool, filters, composed);
   }
 
   /**
    * Starts a session from a provided pool (used by the new form flow).
    * @param {object[]} pool - Prefiltered cards.
+   * @param {{key:string,label:string}} [filters] - Filters the pool was built with (see describeFilters).
+   * @param {{reasons:object,seed:number}} [composed] - Why each card was picked, when composeSession built the pool.
+   * @param {boolean} [redo] - A Redo wrongs pass: it gets a report but is not counted or kept in the session history.
    * @returns {void}
    */
-  function startSessionFromPool(pool) {
-    session = { pool: pool, idx: 0, correct: 0, wrongs: [] };
-    App.incrementSessionCount();
+  function startSessionFromPool(pool, filters, composed, redo) {
+    if (exam) { alert('Submit the running exam first.'); return; }
+    session = newSession(pool);
+    if (composed) { session.reasons = composed.reasons; session.seed = composed.seed; }
+    $('#session-resume')?.setAttribute('hidden', 'hidden');
+    if (redo) {
+      session.redo = true;
+    } else {
+      filters = filters || describeFilters({ cards: pool.map(function (c) { return c.id; }).sort() }, 'Custom selection');
+      var info = { size: pool.length, filters: filters };
+      if (composed) info.seed = composed.seed;
+      session.record = App.incrementSessionCount(info);
+    }
+    emit('session:started', { size: pool.length, mode: session.mode });
     $('#session-empty')?.setAttribute('hidden', 'hidden');
     $('#session-ui')?.removeAttribute('hidden');
     $('#sess-total') && ($('#sess-total').textContent = pool.length);
     renderCard();
   }
 
+  // ---------- Session report (study page) ----------
+
+  /**
+   * Describes the filters a session was started with. Sessions with the same key are compared in the
+   * report; shuffle and the card count are not part of it.
+   * @param {object} values - Filter values, e.g. {plan, type, wrongOnly, dueOnly} or {topics, type, wrongOnly};
+   *   type 'recall' (flashcards and cloze cards together) is only used for its label.
+   * @param {string} [label] - Label to use instead of the generated one.
+   * @returns {{key:string,label:string}} Filter description.
+   */
+  function describeFilters(values, label) {
+    var keys = Object.keys(values).sort();
+    if (!label) {
+      var parts = [];
+      if (values.plan) parts.push(values.plan.charAt(0).toUpperCase() + values.plan.slice(1));
+      if ('topics' in values || values.excludeTopics) {
+        parts.push(describeTopicSelection(normaliseTopicSelection({
+          topics: values.topics, mode: values.topicMode, exclude: values.excludeTopics
+        })));
+      }
+      parts.push({ mcq: 'MCQ', flashcard: 'Flashcards', cloze: 'Cloze', recall: 'Flashcards and cloze' }[values.type] || 'All types');
+      if (values.wrongOnly) parts.push('wrong only');
+      if (values.dueOnly) parts.push('due only');
+      if (values.query) parts.push('“' + values.query + '”');
+      label = parts.join(' · ');
+    }
+    return { key: JSON.stringify(keys.map(function (k) { return [k, values[k]]; })), label: label };
+  }
+
+  /**
+   * Adds a topic selection to the filter values given to describeFilters. The mode and the excluded topics are only
+   * added when they narrow the selection, so sessions on one topic keep comparing with earlier ones.
+   * @param {object} values - Filter values.
+   * @param {{topics:string[],mode:string,exclude:string[]}} sel - Selection (see normaliseTopicSelection).
+   * @returns {object} The same values.
+   */
+  function topicFilterValues(values, sel) {
+    if (sel.topics.length) values.topics = sel.topics.slice().sort();
+    if (sel.topics.length > 1 && sel.mode === 'all') values.topicMode = 'all';
+    if (sel.exclude.length) values.excludeTopics = sel.exclude.slice().sort();
+    return values;
+  }
+
+  /**
+   * Builds the end-of-session report from a finished session's answers.
+   * @param {object} s - Session.
+   * @returns {object} Report: totals, time, accuracy by topic and by type, interval promotions/demotions,
+   *   missed cards and every answer. `previous` is filled in once the last comparable session is found.
+   */
+  function buildSessionReport(s) {
+    var byId = {};
+    s.pool.concat(deck.cards).forEach(function (c) { byId[c.id] = byId[c.id] || c; });
+    var byTopic = {}, byType = {}, missed = {}, activeMs = 0, promoted = 0, demoted = 0;
+    var tally = function (map, key, ok) {
+      var t = map[key] || (map[key] = { n: 0, ok: 0 });
+      t.n += 1; if (ok) t.ok += 1;
+    };
+
+    var answers = s.answers.map(function (a) {
+      var c = byId[a.id] || { id: a.id, type: '', topics: [] };
+      var topics = c.topics && c.topics.length ? c.topics : ['(none)'];
+      topics.forEach(function (t) { tally(byTopic, t, a.correct); });
+      tally(byType, c.type || '(deleted)', a.correct);
+      if (typeof a.ms === 'number') activeMs += Math.min(a.ms, ANSWER_MS_CAP);
+      if (typeof a.ivlAfter === 'number') {
+        if (a.ivlAfter > a.ivlBefore) promoted += 1; else if (a.ivlAfter < a.ivlBefore) demoted += 1;
+      }
+      if (!a.correct && !missed[a.id]) {
+        missed[a.id] = {
+          id: a.id, type: c.type, topics: c.topics || [], prompt: cardPrompt(c),
+          answer: a.answer, correctAnswer: cardAnswer(c),
+          explanation: c.explanation || ''
+        };
+      }
+      return {
+        id: a.id, type: c.type, topics: c.topics || [], prompt: cardPrompt(c).slice(0, 160),
+        answer: a.answer, correct: a.correct, grade: a.grade || null, ms: typeof a.ms === 'number' ? Math.round(a.ms) : null,
+        ivlBefore: typeof a.ivlBefore === 'number' ? a.ivlBefore : null, ivlAfter: typeof a.ivlAfter === 'number' ? a.ivlAfter : null
+      };
+    });
+
+    var correct = answers.filter(function (a) { return a.correct; }).length;
+    var finishedAt = nowMs();
+    return {
+      mode: s.mode,
+      attempts: answers.length,
+      correct: correct,
+      accuracy: answers.length ? Math.round(100 * correct / answers.length) : 0,
+      startedAt: s.startedAt,
+      finishedAt: finishedAt,
+      wallMs: finishedAt - s.startedAt,
+      activeMs: activeMs,
+      promoted: promoted,
+      demoted: demoted,
+      byTopic: byTopic,
+      byType: byType,
+      missed: Object.keys(missed).map(function (id) { return missed[id]; }),
+      answers: answers,
+      redo: !!s.redo,
+      previous: null
+    };
+  }
+
+  /**
+   * Sentence comparing a report with the previous session on the same filters.
+   * @param {object} report - Session report.
+   * @returns {string} HTML.
+   */
+  function sessionCompareHTML(report) {
+    var p = report.previous;
+    if (report.redo) return 'Redo pass over the cards you missed; it is not compared with your sessions.';
+    if (p === undefined) return 'Looking for your previous session on these filters…';
+    if (!p) return 'This is your first session on these filters.';
+    var diff = report.accuracy - p.accuracy;
+    return 'Previous session on these filters (' + escapeHTML(new Date(p.startedAt).toLocaleDateString()) + '): ' +
+      p.accuracy + '% over ' + p.attempts + ' answers in ' + formatClock(p.activeMs) + '. ' +
+      '<strong>' + (diff > 0 ? '+' : '') + diff + ' points</strong> this time.';
+  }
+
+  /**
+   * Renders a session report (on the study page and in the printable export).
+   * @param {object} report - Session report.
+   * @param {boolean} [forPrint] - Leave out the download buttons.
+   * @returns {string} HTML.
+   */
+  function sessionReportHTML(report, forPrint) {
+    var table = function (title, map, label) {
+      return '<div class="table-wrap"><table class="table"><thead><tr><th>' + title + '</th><th>Answers</th><th>Correct</th><th>Accuracy</th></tr></thead><tbody>' +
+        Object.keys(map).sort().map(function (k) {
+          var t = map[k];
+          return '<tr><td>' + escapeHTML(label ? label(k) : k) + '</td><td>' + t.n + '</td><td>' + t.ok + '</td><td>' + Math.round(100 * t.ok / t.n) + '%</td></tr>';
+        }).join('') + '</tbody></table></div>';
+    };
+    var html = '<div class="session-report">' +
+      '<div class="stats"><span>Accuracy: <strong>' + report.accuracy + '%</strong> (' + report.correct + '/' + report.attempts + ')</span>' +
+      '<span>Time: <strong>' + formatClock(report.activeMs) + '</strong> answering, ' + formatClock(report.wallMs) + ' in total</span>' +
+      '<span>Promoted: <strong>' + report.promoted + '</strong></span><span>Demoted: <strong>' + report.demoted + '</strong></span></div>' +
+      '<p class="placeholder report-compare">' + sessionCompareHTML(report) + '</p>' +
+      table('Topic', report.byTopic) +
+      table('Type', report.byType, function (k) { return { mcq: 'MCQ', flashcard: 'Flashcard' }[k] || k; });
+    if (report.missed.length) {
+      html += '<h4>Missed cards</h4><ol class="exam-review">' + report.missed.map(function (m) {
+        return '<li class="exam-item incorrect"><div class="meta">' + escapeHTML(m.id) + (m.topics.length ? ' · ' + escapeHTML(m.topics.join(', ')) : '') +
+          ' · <strong>Your answer: ' + escapeHTML(m.answer) + '</strong></div>' +
+          '<h4>' + escapeHTML(m.prompt || '') + '</h4>' +
+          '<p>Answer: ' + escapeHTML(m.correctAnswer || '') + '</p>' +
+          (m.explanation ? '<p class="placeholder">' + escapeHTML(m.explanation) + '</p>' : '') + '</li>';
+      }).join('') + '</ol>';
+    }
+    if (!forPrint) {
+      html += '<div class="row gap-2 wrap"><span class="muted">Download report:</span>' +
+        '<button type="button" class="btn" data-report="json">JSON</button>' +
+        '<button type="button" class="btn" data-report="csv">CSV</button>' +
+        '<button type="button" class="btn" data-report="html">Printable HTML</button></div>';
+    }
+    return html + '</div>';
+  }
+
+  /**
+   * Compares a finished session with the last one on the same filters and stores its report
+   * in the session history.
+   * @param {object} s - Finished session (with record and report).
+   * @returns {void}
+   */
+  function storeSessionReport(s) {
+    var rec = s.record, report = s.report;
+    if (!rec || !Store || !Store.listSessions) { report.previous = null; return; }
+    report.previous = undefined;
+    Store.listSessions(deck.id).catch(function (e) { console.warn('Could not load the session history', e); return []; }).then(function (list) {
+      var prev = list.filter(function (r) {
+        return r.id !== rec.id && r.report && r.filters && rec.filters && r.filters.key === rec.filters.key && r.startedAt < rec.startedAt;
+      }).pop();
+      report.previous = prev ? {
+        id: prev.id, startedAt: prev.startedAt, attempts: prev.report.attempts,
+        accuracy: prev.report.accuracy, activeMs: prev.report.activeMs
+      } : null;
+      rec.report = report;
+      rec.finishedAt = report.finishedAt;
+      trackWrite(Store.addSession(rec, activeRecord()));
+      announce({ kind: 'session', deckId: rec.deckId, summary: { size: s.pool.length, correct: s.correct, wrong: s.wrongs.length, mode: s.mode } });
+      var el = session === s && $('#card .report-compare');
+      if (el) el.innerHTML = sessionCompareHTML(report);
+    });
+  }
+
+  /**
+   * Downloads a session record's report as JSON, CSV (one row per answer) or a printable HTML page.
+   * @param {object} rec - Session record with `report`.
+   * @param {'json'|'csv'|'html'} format - File format.
+   * @returns {void}
+   */
+  function downloadSessionReport(rec, format) {
+    var report = rec.report;
+    if (!report) { alert('This session has no report (it was not finished).'); return; }
+    var name = 'session_' + new Date(rec.startedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    if (format === 'json') { downloadJSON(rec, name + '.json'); return; }
+    if (format === 'csv') {
+      var cols = ['id', 'type', 'topics', 'prompt', 'answer', 'correct', 'grade', 'seconds', 'ivlBefore', 'ivlAfter'];
+      var rows = report.answers.map(function (a) {
+        return [a.id, a.type, a.topics.join('; '), a.prompt, a.answer, a.correct ? 1 : 0, a.grade,
+          a.ms == null ? '' : Math.round(a.ms / 1000), a.ivlBefore, a.ivlAfter];
+      });
+      var csv = [cols].concat(rows).map(function (r) {
+        return r.map(function (v) { v = String(v == null ? '' : v); return /[",\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v; }).join(',');
+      }).join('\n');
+      downloadBlob(name + '.csv', 'text/csv', csv);
+      return;
+    }
+    var title = 'Study session · ' + new Date(rec.startedAt).toLocaleString();
+    var page = '<!doctype html><html lang="en"><head><meta charset="utf-8"><title>' + escapeHTML(title) + '</title>' +
+      '<style>body{font:14px system-ui,sans-serif;max-width:800px;margin:24px auto;color:#111}' +
+      '.stats{display:flex;gap:16px;flex-wrap:wrap}table{border-collapse:collapse;width:100%;margin:12px 0}' +
+      'th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}.placeholder,.meta{color:#555}' +
+      'li{margin-bottom:12px;break-inside:avoid}</style></head><body>' +
+      '<h1>' + escapeHTML(title) + '</h1><p>' + escapeHTML((findDeckRecord(rec.deckId) || deck).name || '') + (rec.filters ? ' · ' + escapeHTML(rec.filters.label) : '') + '</p>' +
+      sessionReportHTML(report, true) + '</body></html>';
+    downloadBlob(name + '.html', 'text/html', page);
+  }
+
+  // ---------- Exam mode (study page) ----------
+
+  /**
+   * The running exam, or null. Each item holds a copy of its MCQ, the chosen choice index
+   * (null until answered), a flag and the time spent on it.
+   * @type {{deckId:string,startedAt:number,limitMs:number,idx:number,shownAt:number,timer:number,
+   *   items:Array<{card:object,answer:number|null,flagged:boolean,ms:number}>}|null}
+   */
+  var exam = null;
+
+  /**
+   * Formats a duration as m:ss.
+   * @param {number} ms - Duration in milliseconds.
+   * @returns {string} Label such as "4:05".
+   */
+  function formatClock(ms) {
+    var sec = Math.max(0, Math.round(ms / 1000));
+    var s = sec % 60;
+    return Math.floor(sec / 60) + ':' + (s < 10 ? '0' : '') + s;
+  }
+
+  /**
+   * The credit an exam item earned (attempts stored before partial credit only have the answer and the key).
+   * @param {object} x - Exam record item.
+   * @returns {number} Credit from 0 to 1.
+   */
+  function examItemCredit(x) {
+    return typeof x.credit === 'number' ? x.credit : (x.answer === x.correct ? 1 : 0);
+  }
+
+  /**
+   * Keeps the browser from leaving the page silently while an exam is running.
+   * @param {BeforeUnloadEvent} e - Event.
+   * @returns {void}
+   */
+  function guardExam(e) { e.preventDefault(); e.returnValue = ''; }
+
+  /**
+   * Starts a timed exam over MCQs matching the filters. Answers are only marked after submission,
+   * and the attempt is stored apart from the cards' stats and the review log.
+   * @param {{count?:number,minutes?:number,topic?:string,topics?:string[],topicMode?:'any'|'all',excludeTopics?:string[],
+   *   query?:string,wrongOnly?:boolean,dueOnly?:boolean,shuffle?:boolean,order?:'mix'|'deck'|'shuffle'|'due',seed?:number}} [opts]
+   * @returns {boolean} False if no exam could be started (an exam or study session is running, or no MCQ matches).
+   */
+  function startExam(opts) {
+    opts = opts || {};
+    if (exam) return false;
+    // Exams share the session panel and session events with study sessions
+    if (session.pool.length && session.idx < session.pool.length) { alert('Finish or end the running session first.'); return false; }
+    var count = Math.max(1, parseInt(opts.count, 10) || 20);
+    var minutes = Math.max(1, Number(opts.minutes) || 30);
+    var mix = opts.order === 'mix';
+    var pool = App.filterDeck({
+      type: 'mcq', topic: opts.topic, topics: opts.topics, topicMode: opts.topicMode, excludeTopics: opts.excludeTopics,
+      search: opts.query, wrongOnly: !!opts.wrongOnly, dueOnly: !!opts.dueOnly,
+      shuffle: opts.order ? opts.order === 'shuffle' : opts.shuffle !== false, order: mix ? 'deck' : opts.order
+    });
+    // An exam may be all new questions, so the new-card cap does not apply
+    pool = mix ? composeSession(pool, { count: count, maxNew: count, seed: opts.seed }).pool : pool.slice(0, count);
+    if (!pool.length) { alert('No MCQs match your filters. Exams use multiple-choice cards only.'); return false; }
+
+    exam = {
+      deckId: deck.id, startedAt: nowMs(), limitMs: minutes * 60000, idx: 0, shownAt: nowMs(),
+      items: pool.map(function (c) {
+        return { card: JSON.parse(JSON.stringify(c)), order: choiceOrder(c), answer: null, flagged: false, ms: 0 };
+      })
+    };
+    exam.timer = setInterval(tickExam, 1000);
+    window.addEventListener('beforeunload', guardExam);
+    emit('session:started', { size: pool.length, mode: 'exam' });
+
+    ['#session-empty', '#session-ui', '#exam-results'].forEach(function (sel) { $(sel)?.setAttribute('hidden', 'hidden'); });
+    $('#exam-ui')?.removeAttribute('hidden');
+    $('#exam-total') && ($('#exam-total').textContent = pool.length);
+    tickExam();
+    renderExam();
+    return true;
+  }
+
+  /**
+   * Updates the countdown and submits automatically when time is up.
+   * @returns {void}
+   */
+  function tickExam() {
+    if (!exam) return;
+    var left = exam.startedAt + exam.limitMs - nowMs();
+    var el = $('#exam-timer');
+    if (el) { el.textContent = formatClock(left); el.classList.toggle('low', left < 60000); }
+    if (left <= 0) submitExam(true);
+  }
+
+  /**
+   * Renders the current exam question and the question navigator.
+   * @returns {void}
+   */
+  function renderExam() {
+    var host = $('#exam-card'); if (!exam || !host) return;
+    var it = exam.items[exam.idx], c = it.card;
+    $('#exam-idx') && ($('#exam-idx').textContent = exam.idx + 1);
+    $('#exam-answered') && ($('#exam-answered').textContent = exam.items.filter(function (x) { return x.answer !== null; }).length);
+    var flag = $('#exam-flag');
+    if (flag) { flag.textContent = it.flagged ? 'Unflag' : 'Flag'; flag.setAttribute('aria-pressed', String(it.flagged)); }
+
+    var multi = isMultiAnswer(c);
+    var picked = function (i) { return it.answer !== null && [].concat(it.answer).indexOf(i) >= 0; };
+    var html = '<div class="badge">' + escapeHTML((c.topics || []).join(', ')) + '</div>';
+    html += '<h3>' + escapeHTML(c.question || '') + '</h3>' +
+      (multi ? '<p class="muted">Select all that apply' + (c.scoring === 'partial' ? ' (partial credit)' : '') + '.</p>' : '') +
+      '<div class="choices">';
+    it.order.forEach(function (i, pos) {
+      html += '<button type="button" class="choice' + (picked(i) ? ' selected' : '') + '" data-i="' + i + '" aria-pressed="' + picked(i) + '">' +
+        '<strong>' + CHOICE_LETTERS[pos] + ')</strong> ' + escapeHTML(c.choices[i] || '') + '</button>';
+    });
+    host.innerHTML = html + '</div>';
+    $$('#exam-card .choice').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        var i = Number(btn.getAttribute('data-i'));
+        if (multi) {
+          // Choices toggle; the answer is the sorted list of picks, or null once none are left
+          var picks = picked(i) ? it.answer.filter(function (x) { return x !== i; }) : [].concat(it.answer || [], i);
+          it.answer = picks.length ? picks.sort(function (a, b) { return a - b; }) : null;
+        } else {
+          it.answer = it.answer === i ? null : i; // clicking the chosen answer clears it
+        }
+        renderExam();
+      });
+    });
+
+    var nav = $('#exam-nav');
+    if (nav) {
+      nav.innerHTML = exam.items.map(function (x, i) {
+        var cls = 'btn small' + (x.answer !== null ? ' answered' : '') + (x.flagged ? ' flagged' : '') + (i === exam.idx ? ' current' : '');
+        return '<button type="button" class="' + cls + '" data-q="' + i + '" title="Question ' + (i + 1) +
+          (x.flagged ? ' (flagged)' : '') + '">' + (i + 1) + '</button>';
+      }).join('');
+      $$('#exam-nav [data-q]').forEach(function (b) {
+        b.addEventListener('click', function () { goToQuestion(Number(b.getAttribute('data-q'))); });
+      });
+    }
+    typesetMath(host);
+  }
+
+  /**
+   * Moves to another question, adding the time spent to the one being left.
+   * @param {number} i - Question index.
+   * @returns {void}
+   */
+  function goToQuestion(i) {
+    if (!exam || i < 0 || i >= exam.items.length) return;
+    var t = nowMs();
+    exam.items[exam.idx].ms += t - exam.shownAt;
+    exam.idx = i; exam.shownAt = t;
+    renderExam();
+  }
+
+  /**
+   * Ends the exam, scores it, stores the attempt and shows the results.
+   * @param {boolean} [auto] - True when time ran out (no confirmation is asked).
+   * @returns {object|null} The stored exam record, or null if the user kept going.
+   */
+  function submitExam(auto) {
+    if (!exam) return null;
+    var open = exam.items.filter(function (x) { return x.answer === null; }).length;
+    if (!auto && open && !confirm(open + ' question' + (open === 1 ? ' is' : 's are') + ' unanswered. Submit anyway?')) return null;
+    clearInterval(exam.timer);
+    window.removeEventListener('beforeunload', guardExam);
+    var t = nowMs();
+    exam.items[exam.idx].ms += t - exam.shownAt;
+
+    var items = exam.items.map(function (x) {
+      var c = x.card;
+      return {
+        id: c.id, question: c.question || '', choices: (c.choices || []).slice(),
+        correct: isMultiAnswer(c) ? correctChoices(c) : correctChoice(c),
+        order: x.order.slice(), topics: (c.topics || []).slice(), explanation: c.explanation || '',
+        answer: x.answer, credit: scoreMCQ(c, x.answer), flagged: x.flagged, ms: Math.round(x.ms)
+      };
+    });
+    var score = items.reduce(function (n, x) { return n + x.credit; }, 0);
+    var rec = {
+      id: uid() + uid(), deckId: exam.deckId, startedAt: exam.startedAt, submittedAt: t,
+      limitMs: exam.limitMs, auto: !!auto, total: items.length,
+      score: Math.round(score * 100) / 100, items: items
+    };
+    exam = null;
+    if (Store) trackWrite(Store.addExam(rec));
+    emit('session:finished', { size: rec.total, correct: rec.score, wrong: rec.total - rec.score, mode: 'exam' });
+    $('#exam-ui')?.setAttribute('hidden', 'hidden');
+    renderExamResults(rec);
+    return rec;
+  }
+
+  /**
+   * Shows an exam's score, per-topic breakdown, time per question and every item with its explanation.
+   * @param {object} rec - Exam record (see submitExam).
+   * @returns {void}
+   */
+  function renderExamResults(rec) {
+    var host = $('#exam-results'); if (!host) return;
+    var pct = rec.total ? Math.round(100 * rec.score / rec.total) : 0;
+    var used = rec.submittedAt - rec.startedAt;
+    var perTopic = {};
+    rec.items.forEach(function (x) {
+      (x.topics.length ? x.topics : ['(none)']).forEach(function (t) {
+        var p = perTopic[t] || (perTopic[t] = { n: 0, ok: 0 });
+        p.n += 1; p.ok += examItemCredit(x);
+      });
+    });
+
+    var html = '<h3>Exam results</h3>' +
+      '<div class="stats"><span>Score: <strong>' + rec.score + '/' + rec.total + '</strong> (' + pct + '%)</span>' +
+      '<span>Time: <strong>' + formatClock(used) + '</strong> of ' + formatClock(rec.limitMs) + '</span>' +
+      '<span>Per question: <strong>' + formatClock(used / Math.max(1, rec.total)) + '</strong> on average</span></div>' +
+      (rec.auto ? '<p class="placeholder">Time ran out, so your answers were submitted automatically.</p>' : '');
+
+    html += '<div class="table-wrap"><table class="table"><thead><tr><th>Topic</th><th>Questions</th><th>Correct</th><th>Score</th></tr></thead><tbody>' +
+      Object.keys(perTopic).sort().map(function (t) {
+        var p = perTopic[t];
+        return '<tr><td>' + escapeHTML(t) + '</td><td>' + p.n + '</td><td>' + Math.round(p.ok * 100) / 100 + '</td><td>' + Math.round(100 * p.ok / p.n) + '%</td></tr>';
+      }).join('') + '</tbody></table></div>';
+
+    html += '<ol class="exam-review">' + rec.items.map(function (x, n) {
+      var credit = examItemCredit(x);
+      var right = [].concat(x.correct), picks = x.answer === null ? [] : [].concat(x.answer);
+      var state = x.answer === null ? 'unanswered' : credit >= 1 ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+      return '<li class="exam-item ' + state + '">' +
+        '<div class="meta">Question ' + (n + 1) + ' · ' + formatClock(x.ms) + (x.flagged ? ' · flagged' : '') +
+        ' · <strong>' + { correct: 'Correct', partial: 'Partly right (' + Math.round(100 * credit) + '%)', incorrect: 'Wrong', unanswered: 'Not answered' }[state] + '</strong></div>' +
+        '<h4>' + escapeHTML(x.question) + '</h4>' + (Array.isArray(x.correct) ? '<p class="muted">Select all that apply.</p>' : '') +
+        '<div class="choices">' +
+        // In the order the choices were shown (attempts stored before shuffling have none)
+        (x.order || x.choices.map(function (_, i) { return i; })).map(function (i, pos) {
+          var cls = right.indexOf(i) >= 0 ? ' correct' : (picks.indexOf(i) >= 0 ? ' incorrect' : '');
+          return '<div class="choice' + cls + '"><strong>' + CHOICE_LETTERS[pos] + ')</strong> ' + escapeHTML(x.choices[i] || '') +
+            (picks.indexOf(i) >= 0 ? ' <span class="badge">Your answer</span>' : '') + '</div>';
+        }).join('') + '</div>' +
+        (x.explanation ? '<p class="placeholder">' + escapeHTML(x.explanation) + '</p>' : '') + '</li>';
+    }).join('') + '</ol>' +
+      '<div class="field"><button id="exam-close" type="button" class="btn">Done</button></div>';
+
+    host.innerHTML = html;
+    host.removeAttribute('hidden');
+    $('#exam-close')?.addEventListener('click', function () {
+      host.setAttribute('hidden', 'hidden');
+      $('#session-empty')?.removeAttribute('hidden');
+    });
+    typesetMath(host);
+  }
+
+  /**
+   * Wires the exam toolbar (previous/next, flag, submit) on the study page.
+   * @returns {void}
+   */
+  function initExamBindings() {
+    $('#exam-prev')?.addEventListener('click', function () { if (exam) goToQuestion(exam.idx - 1); });
+    $('#exam-next')?.addEventListener('click', function () { if (exam) goToQuestion(exam.idx + 1); });
+    $('#exam-flag')?.addEventListener('click', function () {
+      if (!exam) return;
+      var it = exam.items[exam.idx]; it.flagged = !it.flagged;
+      renderExam();
+    });
+    $('#exam-submit')?.addEventListener('click', function () { submitExam(false); });
+  }
+
   // ---------- Public bridge for new Test-bar form flow ----------
 
   /**
    * Builds a pool from test filters and starts a session.
-   * @param {{plan?:'cram'|'daily', type?:''|'flashcard'|'mcq', wrongOnly?:boolean, dueOnly?:boolean, shuffle?:boolean, count?:number}} opts
+   * The 'exam' plan starts a timed exam instead (see startExam; `minutes` sets its time limit).
+   * `query` is a search query (see App.query); a malformed one is reported and nothing starts.
+   * Topics are chosen with `topics`, `topicMode` and `excludeTopics` (as for App.filterDeck).
+   * Presets (App.presets) pass `order` and `label` (the name the session is listed under) as well.
+   * The 'mix' order composes the session (see composeSession); `seed` makes it repeatable.
+   * @param {{plan?:'cram'|'daily'|'exam', type?:''|'flashcard'|'mcq'|'cloze', wrongOnly?:boolean, dueOnly?:boolean, shuffle?:boolean,
+   *   count?:number, minutes?:number, query?:string, topics?:string[], topicMode?:'any'|'all', excludeTopics?:string[],
+   *   order?:'mix'|'deck'|'shuffle'|'due', seed?:number, label?:string}} opts
    * @returns {void}
    */
   App.startSessionFromFilters = function (opts) {
     opts = opts || {};
+    var query = (opts.query || '').trim();
+    var err = compileQuery(query).error;
+    if (err) { alert('Search query: ' + err.message + ' (at character ' + (err.pos + 1) + ').'); return; }
+    if (opts.plan === 'exam') { startExam(opts); return; }
     var type = opts.type || '';
+    // Plan presets (in case caller didn't apply them in the UI)
+    if (PLAN_FILTERS[opts.plan]) opts = Object.assign({}, opts, PLAN_FILTERS[opts.plan]);
     var wrongOnly = !!opts.wrongOnly;
     var dueOnly = !!opts.dueOnly;
-    var shuffle = !!opts.shuffle;
+    var shuffle = opts.order ? opts.order === 'shuffle' : !!opts.shuffle;
     var count = Math.max(1, parseInt(opts.count, 10) || 20);
 
-    // Plan presets (in case caller didn't apply them in the UI)
-    if (opts.plan === 'cram') {
-      wrongOnly = true; dueOnly = false; shuffle = true;
-    } else if (opts.plan === 'daily') {
-      wrongOnly = false; dueOnly = true; shuffle = false;
-    }
-
-    var filtered = App.filterDeck({ type: type, wrongOnly: wrongOnly, dueOnly: dueOnly, shuffle: shuffle });
+    var topics = normaliseTopicSelection({ topics: opts.topics, mode: opts.topicMode, exclude: opts.excludeTopics });
+    var mix = opts.order === 'mix';
+    var filtered = App.filterDeck({
+      search: query, type: type, topics: topics.topics, topicMode: topics.mode, excludeTopics: topics.exclude,
+      wrongOnly: wrongOnly, dueOnly: dueOnly, shuffle: shuffle && !mix, order: mix ? 'deck' : opts.order
+    });
+    var composed = mix ? composeSession(filtered, { count: count, seed: opts.seed }) : null;
+    if (composed) filtered = composed.pool;
     if (filtered.length > count) filtered = filtered.slice(0, count);
     if (!filtered.length) { alert('No cards match your test filters.'); return; }
-    startSessionFromPool(filtered);
+    var values = { plan: opts.plan || '', type: type, wrongOnly: wrongOnly, dueOnly: dueOnly };
+    if (query) values.query = query;
+    startSessionFromPool(filtered, describeFilters(topicFilterValues(values, topics), opts.label), composed);
   };
 
+  /** @type {object|null} Topic picker in #topic-list (legacy session controls); made on first render. */
+  var sessionTopicPicker = null;
+
   /**
-   * Renders the topic UI. Supports legacy <ul> list and new “chips” container.
+   * Renders the topic picker in #topic-list, which the legacy session controls read.
    * @returns {void}
    */
   function renderTopics() {
     var host = $('#topic-list'); if (!host) return;
-
-    var topics = App.topicsList();
-    // Legacy UL mode
-    if (host.tagName === 'UL') {
-      host.innerHTML = '';
-      var liAll = document.createElement('li');
-      liAll.textContent = 'All topics (' + deck.cards.length + ')';
-      liAll.setAttribute('data-topic', '__ALL__'); liAll.className = 'active';
-      liAll.addEventListener('click', function () { $$('#topic-list li').forEach(function (n) { n.className = ''; }); liAll.className = 'active'; });
-      host.appendChild(liAll);
-      topics.forEach(function (t) {
-        var count = (deck.topicIndex[t] || []).length;
-        var li = document.createElement('li'); li.setAttribute('data-topic', t); li.textContent = t + ' (' + count + ')';
-        li.addEventListener('click', function () { $$('#topic-list li').forEach(function (n) { n.className = ''; }); li.className = 'active'; });
-        host.appendChild(li);
-      });
-      return;
-    }
-
-    // New chips mode (div/container)
-    host.innerHTML = '';
-    topics.forEach(function (t, i) {
-      var id = 'topic-' + i;
-      var input = document.createElement('input');
-      input.type = 'checkbox'; input.className = 'chip';
-      input.id = id; input.name = 'topics'; input.value = t; input.checked = true;
-
-      var label = document.createElement('label');
-      label.htmlFor = id; label.textContent = t;
-
-      host.appendChild(input);
-      host.appendChild(label);
-    });
+    if (!sessionTopicPicker) sessionTopicPicker = createTopicPicker(host);
+    else sessionTopicPicker.render();
   }
 
   /**
@@ -1257,7 +6533,7 @@
     var tbody = $('#review-body'); if (!tbody) return; tbody.innerHTML = '';
     deck.cards.forEach(function (c) {
       var acc = c.stats.seen ? Math.round(100 * c.stats.correct / c.stats.seen) : 0;
-      var prompt = c.type === 'mcq' ? c.question : c.front;
+      var prompt = cardPrompt(c);
       var tr = document.createElement('tr');
       tr.innerHTML = '<td>' + escapeHTML(c.id) + '</td>' +
         '<td>' + c.type + '</td>' +
@@ -1285,5 +6561,35 @@
     startSessionFromPool(selected);
   };
 
+  // ---------- Boot: open storage, load the deck ----------
+
+  /**
+   * Resolves once the deck library and the active deck (cards, meta, review log) are loaded from storage.
+   * Pages should run their init code in `App.ready.then(...)`.
+   * @type {Promise<void>}
+   */
+  App.ready = openStore().then(function (backend) {
+    Store = backend;
+    return Store.listDecks();
+  }).then(function (list) {
+    deckLibrary = list;
+    if (!deckLibrary.length) {
+      var rec = newDeckRecord(DEFAULT_DECK_ID, 'My deck');
+      deckLibrary.push(rec);
+      trackWrite(Store.putDeck(rec));
+    }
+    var wanted = localStorage.getItem(KEY_ACTIVE);
+    return activateDeck(findDeckRecord(wanted) ? wanted : deckLibrary[0].id);
+  }).then(restoreHistory).then(function () {
+    if (navigator.storage && typeof navigator.storage.persist === 'function') {
+      navigator.storage.persist().catch(function () {});
+    }
+    checkQuota(true);
+    openSync();
+  }).catch(function (e) {
+    console.error('Failed to load deck:', e);
+    notify('Couldn\'t load your deck from browser storage.', { type: 'error', sticky: true, key: 'storage' });
+  });
+
   // ---------- Initial: pages call init functions ----------
 })();
@@ -34,10 +34,13 @@ class AppShell extends HTMLElement {
         </nav>
       </div>
       <div class="app-actions">
+        <select id="deck-picker" class="deck-select" aria-label="Active deck" title="Active deck"></select>
+        <button id="btn-decks" class="btn" title="Manage decks">Decks</button>
+        <span class="divider"></span>
         <button id="btn-import" class="btn">Import</button>
         <input id="file-input" type="file" accept=".xlsx,.json" hidden multiple />
-        <label class="switch" title="Replace on import">
-          <input id="chk-replace-import" type="checkbox" /> Replace
+        <label class="switch" title="Deck used by Import and Export">
+          To/from <select id="io-deck" class="deck-select"></select>
         </label>
         <span class="divider"></span>
         <button id="btn-export" class="btn">Export JSON</button>